@@ -23,20 +23,68 @@ IN THE SOFTWARE.
 
 'use strict'
 
-const { Writable } = require('node:stream')
-
-class MemoryCacheStore {
+const { EventEmitter } = require('node:events')
+const { Writable, Readable, pipeline } = require('node:stream')
+const { pipeline: pipelinePromise } = require('node:stream/promises')
+const { BroadcastChannel } = require('node:worker_threads')
+const { createHash, randomUUID } = require('node:crypto')
+const policies = require('./lib/policies.js')
+const { PathIndex, compileGlob } = require('./lib/path-index.js')
+const CachedAtIndex = require('./lib/cached-at-index.js')
+const metrics = require('./lib/metrics.js')
+const channels = require('./lib/channels.js')
+const { writeSnapshot, readSnapshot } = require('./lib/snapshot.js')
+const DiskTier = require('./lib/disk-tier.js')
+const { getRouteKey } = DiskTier
+const findEntry = require('./lib/find-entry.js')
+const { parseCacheTagsOptions, parseCacheTags, mergeCacheTags, normalizeCacheTags } = require('./lib/cache-tags.js')
+const { createSetValue, createBodyStream } = require('./lib/set-value.js')
+const { parseCompressOption, createCompressor, createDecompressor, compressBody, decompressBody } = require('./lib/compression.js')
+const { validateRange, applyRange, ifRangeMatches } = require('./lib/range.js')
+const admin = require('./lib/admin.js')
+
+class MemoryCacheStore extends EventEmitter {
   #maxCount = 1024
   #maxSize = 100 * 1024 * 1024 // 100MB
   #maxEntrySize = 5 * 1024 * 1024 // 5MB
-  #cacheTagsHeader = undefined
+  #maxStatsOrigins = 1024
+  #cacheTags = undefined
+  #cacheTagsScope = 'global'
+  #sweepTimer = undefined
+  #broadcastChannel = undefined
+  #id = randomUUID()
+  // Set while applying an invalidation received from a peer store
+  #applyingBroadcast = false
+  #diskTier = undefined
+  #compression = undefined
+  #dedupe = false
+  #ranges = false
+  // Body hash -> body shared by the entries with identical bodies
+  #bodies = new Map()
+  // Origin, path and method -> writes in flight, one per variant
+  #pendingWrites = new Map()
+  #defaultOriginLimits = undefined
+  #originLimits = new Map()
 
   #size = 0
   #count = 0
   #entries = new Map()
+  #paths = new PathIndex()
+  #cachedAt = new CachedAtIndex()
+  // Origin -> { size, count } of the entries stored for it
+  #originUsage = new Map()
+  #stats = createStats()
+  // Origin -> counters, from the least to the most recently seen origin
+  #originStats = new Map()
+  // Origin -> cache tag -> encoded path and method of the tagged routes
   #tags = new Map()
+  #policy = undefined
 
   constructor (opts) {
+    super()
+
+    this.#policy = policies.createPolicy(opts?.policy)
+
     if (opts) {
       if (typeof opts !== 'object') {
         throw new TypeError('MemoryCacheStore options must be an object')
@@ -75,38 +123,291 @@ class MemoryCacheStore {
         this.#maxEntrySize = opts.maxEntrySize
       }
 
-      if (typeof opts.cacheTagsHeader === 'string') {
-        this.#cacheTagsHeader = opts.cacheTagsHeader.toLowerCase()
+      if (opts.maxStatsOrigins !== undefined) {
+        if (
+          typeof opts.maxStatsOrigins !== 'number' ||
+          !Number.isInteger(opts.maxStatsOrigins) ||
+          opts.maxStatsOrigins < 0
+        ) {
+          throw new TypeError('MemoryCacheStore options.maxStatsOrigins must be a non-negative integer')
+        }
+        this.#maxStatsOrigins = opts.maxStatsOrigins
       }
+
+      this.#cacheTags = parseCacheTagsOptions(opts, 'MemoryCacheStore')
+
+      if (opts.cacheTagsScope !== undefined) {
+        if (opts.cacheTagsScope !== 'global' && opts.cacheTagsScope !== 'origin') {
+          throw new TypeError('MemoryCacheStore options.cacheTagsScope must be either \'global\' or \'origin\'')
+        }
+        this.#cacheTagsScope = opts.cacheTagsScope
+      }
+
+      if (opts.originLimits !== undefined) {
+        if (typeof opts.originLimits !== 'object' || opts.originLimits === null) {
+          throw new TypeError('MemoryCacheStore options.originLimits must be an object')
+        }
+
+        if (opts.originLimits.default !== undefined) {
+          this.#defaultOriginLimits = parseLimits(opts.originLimits.default, 'originLimits.default')
+        }
+
+        if (opts.originLimits.origins !== undefined) {
+          if (typeof opts.originLimits.origins !== 'object' || opts.originLimits.origins === null) {
+            throw new TypeError('MemoryCacheStore options.originLimits.origins must be an object')
+          }
+          for (const [origin, limits] of Object.entries(opts.originLimits.origins)) {
+            this.#originLimits.set(origin, parseLimits(limits, `originLimits.origins['${origin}']`))
+          }
+        }
+      }
+
+      this.#compression = parseCompressOption(opts.compress)
+
+      if (opts.ranges !== undefined) {
+        if (typeof opts.ranges !== 'boolean') {
+          throw new TypeError('MemoryCacheStore options.ranges must be a boolean')
+        }
+        this.#ranges = opts.ranges
+      }
+
+      if (opts.dedupe !== undefined) {
+        if (typeof opts.dedupe !== 'boolean') {
+          throw new TypeError('MemoryCacheStore options.dedupe must be a boolean')
+        }
+        this.#dedupe = opts.dedupe
+      }
+
+      if (opts.diskPath !== undefined) {
+        if (typeof opts.diskPath !== 'string' || opts.diskPath === '') {
+          throw new TypeError('MemoryCacheStore options.diskPath must be a non-empty string')
+        }
+
+        let maxDiskSize = 1024 * 1024 * 1024 // 1GB
+        if (opts.maxDiskSize !== undefined) {
+          if (
+            typeof opts.maxDiskSize !== 'number' ||
+            !Number.isInteger(opts.maxDiskSize) ||
+            opts.maxDiskSize < 0
+          ) {
+            throw new TypeError('MemoryCacheStore options.maxDiskSize must be a non-negative integer')
+          }
+          maxDiskSize = opts.maxDiskSize
+        }
+
+        this.#diskTier = new DiskTier({
+          path: opts.diskPath,
+          maxSize: maxDiskSize,
+          onError: (err) => {
+            // Disk failures only cost cache hits, so they never throw
+            if (this.listenerCount('error') > 0) {
+              this.emit('error', err)
+            }
+          }
+        })
+      }
+
+      if (opts.sweepInterval !== undefined) {
+        if (
+          typeof opts.sweepInterval !== 'number' ||
+          !Number.isInteger(opts.sweepInterval) ||
+          opts.sweepInterval <= 0
+        ) {
+          throw new TypeError('MemoryCacheStore options.sweepInterval must be a positive integer')
+        }
+        this.#sweepTimer = setInterval(() => this.#sweep(), opts.sweepInterval)
+        this.#sweepTimer.unref()
+      }
+
+      if (opts.broadcastChannel !== undefined) {
+        if (typeof opts.broadcastChannel !== 'string' || opts.broadcastChannel === '') {
+          throw new TypeError('MemoryCacheStore options.broadcastChannel must be a non-empty string')
+        }
+        this.#broadcastChannel = new BroadcastChannel(opts.broadcastChannel)
+        this.#broadcastChannel.onmessage = (event) => this.#onBroadcast(event.data)
+        this.#broadcastChannel.unref()
+      }
+    }
+  }
+
+  get (key, opts) {
+    if (typeof key !== 'object') {
+      throw new TypeError(`expected key to be object, got ${typeof key}`)
     }
+    if (opts?.range !== undefined) {
+      validateRange(opts.range)
+    }
+
+    return this.#lookup(key, (entry) => this.#hit(key, entry, opts))
   }
 
-  get (key) {
+  getStream (key, opts) {
     if (typeof key !== 'object') {
       throw new TypeError(`expected key to be object, got ${typeof key}`)
     }
+    const highWaterMark = opts?.highWaterMark
+    if (highWaterMark !== undefined && (!Number.isInteger(highWaterMark) || highWaterMark <= 0)) {
+      throw new TypeError('opts.highWaterMark must be a positive integer')
+    }
+
+    return this.#lookup(key, (entry) => this.#hitStream(key, entry, highWaterMark))
+  }
+
+  #lookup (key, respond) {
+    if (channels.lookupStart.hasSubscribers) {
+      channels.lookupStart.publish({ store: this, key })
+    }
 
     const entries = this.#getEntries(key)
-    if (!entries) return undefined
+    const entry = entries && findEntry(key, entries, Date.now())
+    if (entry == null) {
+      return this.#diskTier ? this.#getFromDisk(key, respond) : this.#miss(key)
+    }
 
-    const now = Date.now()
-    const entry = findEntry(key, entries, now)
-
-    return entry == null
-      ? undefined
-      : {
-        statusMessage: entry.statusMessage,
-        statusCode: entry.statusCode,
-        headers: entry.headers,
-        body: entry.body,
-        etag: entry.etag,
-        cacheTags: entry.cacheTags,
-        cachedAt: entry.cachedAt,
-        vary: entry.vary,
-        staleAt: entry.staleAt,
-        deleteAt: entry.deleteAt,
-        cacheControlDirectives: entry.cacheControlDirectives
+    this.#access(entry)
+    return respond(entry)
+  }
+
+  async #getFromDisk (key, respond) {
+    const diskEntry = await this.#diskTier.take(key, findEntry)
+    if (diskEntry === undefined) {
+      return this.#miss(key)
+    }
+
+    // Written to memory while the entry was read from disk
+    const entry = findEntry(key, this.#getEntries(key) || [], Date.now())
+    if (entry) {
+      this.#access(entry)
+      return respond(entry)
+    }
+
+    this.#record('promote', diskEntry, diskEntry.size, 'lookup')
+    if (this.#saveEntry(key, diskEntry) === undefined) {
+      this.#access(diskEntry)
+    }
+    return respond(diskEntry)
+  }
+
+  // Pinned entries are out of the policy until their streams are done
+  #access (entry) {
+    if (!entry.pins) {
+      this.#policy.onAccess(entry)
+    }
+  }
+
+  #hit (key, entry, opts) {
+    this.#recordHit(key, entry)
+    const result = this.#result(entry, entry.compression ? decompressBody(entry.compression, entry.body) : entry.body)
+
+    if (opts?.range !== undefined) {
+      return applyRange(result, opts.range)
+    }
+
+    // Answers the Range header of the requests the cache interceptor looks up
+    const range = this.#ranges && key.method === 'GET' ? key.headers?.range : undefined
+    if (typeof range === 'string' && ifRangeMatches(key.headers['if-range'], result)) {
+      return applyRange(result, range)
+    }
+
+    return result
+  }
+
+  #hitStream (key, entry, highWaterMark) {
+    this.#recordHit(key, entry)
+    this.#pin(entry)
+
+    const chunks = entry.body
+    let index = 0
+    let offset = 0
+    const source = new Readable({
+      highWaterMark,
+      read () {
+        // Chunks larger than highWaterMark are pushed a slice at a time
+        while (index < chunks.length) {
+          const chunk = chunks[index]
+          const end = Math.min(offset + this.readableHighWaterMark, chunk.byteLength)
+          const slice = chunk.subarray(offset, end)
+          if (end === chunk.byteLength) {
+            index++
+            offset = 0
+          } else {
+            offset = end
+          }
+          if (!this.push(slice)) return
+        }
+        this.push(null)
+      },
+      destroy: (err, callback) => {
+        this.#unpin(entry)
+        callback(err)
       }
+    })
+
+    if (!entry.compression) {
+      return this.#result(entry, source)
+    }
+
+    const decompressor = createDecompressor(entry.compression, highWaterMark)
+    pipeline(source, decompressor, noop)
+    return this.#result(entry, decompressor)
+  }
+
+  #recordHit (key, entry) {
+    const stale = entry.staleAt <= Date.now()
+    this.#record('hit', entry, entry.size, stale ? 'stale' : 'fresh')
+    if (channels.lookupEnd.hasSubscribers) {
+      channels.lookupEnd.publish({
+        store: this,
+        key,
+        outcome: stale ? 'stale' : 'hit',
+        vary: entry.vary,
+        size: entry.size
+      })
+    }
+  }
+
+  #result (entry, body) {
+    return {
+      statusMessage: entry.statusMessage,
+      statusCode: entry.statusCode,
+      headers: entry.headers,
+      body,
+      etag: entry.etag,
+      cacheTags: entry.cacheTags,
+      cachedAt: entry.cachedAt,
+      vary: entry.vary,
+      staleAt: entry.staleAt,
+      deleteAt: entry.deleteAt,
+      cacheControlDirectives: entry.cacheControlDirectives
+    }
+  }
+
+  // A pinned entry can't be evicted, while it can still be deleted or
+  // replaced. It leaves the policy, which therefore never picks it.
+  #pin (entry) {
+    entry.pins = (entry.pins ?? 0) + 1
+    if (entry.pins === 1 && this.#isStored(entry)) {
+      this.#policy.onDelete(entry)
+    }
+  }
+
+  #unpin (entry) {
+    entry.pins -= 1
+    if (entry.pins === 0 && this.#isStored(entry)) {
+      this.#policy.onInsert(entry)
+    }
+  }
+
+  #isStored (entry) {
+    return this.#getEntries(entry)?.includes(entry) ?? false
+  }
+
+  #miss (key) {
+    this.#record('miss', key, undefined, 'not-found')
+    if (channels.lookupEnd.hasSubscribers) {
+      channels.lookupEnd.publish({ store: this, key, outcome: 'miss' })
+    }
+    return undefined
   }
 
   createWriteStream (key, val) {
@@ -117,47 +418,295 @@ class MemoryCacheStore {
       throw new TypeError(`expected value to be object, got ${typeof val}`)
     }
 
-    const cacheTags = this.#parseCacheTags(val.headers)
-    this.#saveCacheTags(key, cacheTags)
+    const cacheTags = parseCacheTags(val.headers, this.#cacheTags)
+    return this.#createWriteStream(key, val, cacheTags, true).writable
+  }
+
+  /**
+   * Stores a response without going through undici, to warm the cache.
+   * Resolves to true once the entry is stored, or to false when it was
+   * rejected by the limits.
+   */
+  async set (key, value) {
+    if (typeof key !== 'object' || key === null) {
+      throw new TypeError(`expected key to be object, got ${key === null ? 'null' : typeof key}`)
+    }
+    if (typeof key.origin !== 'string') {
+      throw new TypeError('key.origin must be a string')
+    }
+    if (typeof key.path !== 'string') {
+      throw new TypeError('key.path must be a string')
+    }
+    if (typeof value !== 'object' || value === null) {
+      throw new TypeError(`expected value to be object, got ${value === null ? 'null' : typeof value}`)
+    }
+
+    const val = createSetValue(value, Date.now())
+    const body = createBodyStream(value.body)
+    const cacheTags = mergeCacheTags(parseCacheTags(val.headers, this.#cacheTags), value.cacheTags ?? [], this.#cacheTags)
+    // Without request headers, the vary values pick the variant to replace
+    const { writable, entry } = this.#createWriteStream({
+      origin: key.origin,
+      path: key.path,
+      method: key.method ?? 'GET',
+      headers: { ...varyToHeaders(val.vary), ...key.headers }
+    }, val, cacheTags, false)
+
+    try {
+      await pipelinePromise(body, writable)
+    } catch (err) {
+      // Entries over maxEntrySize end the stream without an error
+      if (err.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+        throw err
+      }
+    }
+    return this.#isStored(entry)
+  }
+
+  /**
+   * Stores many responses, given as an iterable or async iterable of
+   * `{ key, value }`, and resolves to whether each one was stored. Rejects
+   * with an AggregateError once all of them are settled if any failed, or
+   * with the error of the iterable if it throws.
+   */
+  async setMany (items) {
+    if (typeof items?.[Symbol.iterator] !== 'function' && typeof items?.[Symbol.asyncIterator] !== 'function') {
+      throw new TypeError('items must be an iterable')
+    }
+
+    const writes = []
+    let iterationError
+    try {
+      for await (const item of items) {
+        writes.push(this.set(item?.key, item?.value))
+      }
+    } catch (err) {
+      iterationError = err
+    }
+
+    // Settled even when the iteration fails, so that no write rejects unhandled
+    const results = await Promise.allSettled(writes)
+    if (iterationError !== undefined) {
+      throw iterationError
+    }
+    const errors = results.filter(result => result.status === 'rejected').map(result => result.reason)
+    if (errors.length > 0) {
+      throw new AggregateError(errors, `${errors.length} of ${results.length} entries could not be stored`)
+    }
+    return results.map(result => result.value)
+  }
 
+  // Returns the stream along with the entry it stores. Writes in flight are
+  // only tracked, and concurrent ones coalesced, when coalesce is true.
+  #createWriteStream (key, val, cacheTags, coalesce) {
     const store = this
     const entry = { ...key, ...val, cacheTags, body: [], size: 0 }
+    // Bodies already encoded by the origin would barely shrink
+    const compression = isContentEncoded(val.headers) ? undefined : this.#compression
+    let compressor
     let sizeExceeded = false
+    let committed = false
+
+    if (channels.writeStart.hasSubscribers) {
+      channels.writeStart.publish({ store: this, key, value: val })
+    }
+
+    // The write of the same variant already in flight, if any
+    const overlapped = coalesce ? this.#findPendingWrite(key) : undefined
+    const settle = coalesce ? this.#addPendingWrite(key, val, cacheTags) : noop
+
+    // Once compressing, the size and limits apply to the compressed chunks
+    const addChunk = (chunk) => {
+      entry.size += chunk.byteLength
+
+      if (entry.size >= store.#maxEntrySize) {
+        sizeExceeded = true
+        store.#record('reject', entry, entry.size, 'max-entry-size')
+        writable.destroy()
+      } else {
+        entry.body.push(chunk)
+      }
+    }
+
+    const commit = () => {
+      committed = true
+      // Only stored when the overlapped write was not, as it was aborted,
+      // rejected or is still in flight
+      if (overlapped?.stored) {
+        settle(false)
+        publishWriteAbort(store, key, entry, 'coalesced')
+        return
+      }
 
-    return new Writable({
+      const rejection = store.#saveEntry(key, entry)
+      settle(rejection === undefined)
+      if (rejection !== undefined) {
+        publishWriteAbort(store, key, entry, rejection)
+      } else if (channels.writeCommit.hasSubscribers) {
+        channels.writeCommit.publish({ store, key, vary: entry.vary, size: entry.size })
+      }
+    }
+
+    const writable = new Writable({
       write (chunk, encoding, callback) {
         if (typeof chunk === 'string') {
           chunk = Buffer.from(chunk, encoding)
         }
 
-        entry.size += chunk.byteLength
+        // Bodies under minSize are kept as they are
+        if (!compressor && compression && entry.size + chunk.byteLength >= compression.minSize) {
+          const chunks = entry.body
+          entry.body = []
+          entry.size = 0
+          entry.compression = compression.algorithm
+
+          compressor = createCompressor(compression.algorithm)
+          compressor.on('data', addChunk)
+          compressor.on('error', (err) => writable.destroy(err))
+          for (const chunk of chunks) {
+            compressor.write(chunk)
+          }
+        }
 
-        if (entry.size >= store.#maxEntrySize) {
-          sizeExceeded = true
-          this.destroy()
-        } else {
-          entry.body.push(chunk)
+        if (compressor) {
+          compressor.write(chunk, () => callback(null))
+          return
         }
 
+        addChunk(chunk)
         callback(null)
       },
       final (callback) {
-        if (!sizeExceeded) {
-          store.#saveEntry(key, entry)
+        if (!compressor) {
+          commit()
+          callback(null)
+          return
         }
-        callback(null)
+
+        compressor.once('end', () => {
+          if (!sizeExceeded) {
+            commit()
+          }
+          callback(null)
+        })
+        compressor.end()
+      },
+      destroy (err, callback) {
+        compressor?.destroy()
+        settle()
+        if (!committed) {
+          const reason = sizeExceeded ? 'max-entry-size' : err ? 'error' : 'aborted'
+          publishWriteAbort(store, key, entry, reason, err)
+        }
+        callback(err)
       }
     })
+
+    return { writable, entry }
   }
 
-  delete (key) {
+  /**
+   * Waits for the writes in flight for the variant of key, if any, and
+   * resolves to the entry stored, or to undefined if none was stored.
+   * Returns undefined when no write is in flight.
+   */
+  getPending (key) {
     if (typeof key !== 'object') {
       throw new TypeError(`expected key to be object, got ${typeof key}`)
     }
-    this.#deleteByKey(key, { deleteAllMethods: true })
+
+    const pending = this.#findPendingWrite(key)
+    if (!pending) return undefined
+
+    // Waits for the next write in flight when this one was not stored
+    return pending.done.then(() => pending.stored ? this.get(key) : this.getPending(key) ?? this.get(key))
+  }
+
+  #findPendingWrite (key) {
+    const pendingWrites = this.#pendingWrites.get(getRouteKey(key))
+    return pendingWrites && findEntry(key, pendingWrites, Date.now())
+  }
+
+  // Returns the function to call, with whether it was stored, once the
+  // write is committed or given up
+  #addPendingWrite (key, val, cacheTags) {
+    const pendingKey = getRouteKey(key)
+    let pendingWrites = this.#pendingWrites.get(pendingKey)
+    if (!pendingWrites) {
+      pendingWrites = []
+      this.#pendingWrites.set(pendingKey, pendingWrites)
+    }
+
+    let resolve
+    const done = new Promise((resolvePromise) => { resolve = resolvePromise })
+    const pending = {
+      origin: key.origin,
+      path: key.path,
+      method: key.method,
+      vary: val.vary,
+      deleteAt: val.deleteAt,
+      cacheTags,
+      done,
+      stored: false
+    }
+    pendingWrites.push(pending)
+
+    let settled = false
+    return (stored = false) => {
+      if (settled) return
+      settled = true
+
+      pending.stored = stored
+      this.#deletePendingWrite(pendingKey, pending)
+      resolve()
+    }
+  }
+
+  #deletePendingWrite (pendingKey, pending) {
+    const pendingWrites = this.#pendingWrites.get(pendingKey)
+    const index = pendingWrites?.indexOf(pending) ?? -1
+    if (index === -1) return
+
+    pendingWrites.splice(index, 1)
+    if (pendingWrites.length === 0) {
+      this.#pendingWrites.delete(pendingKey)
+    }
+  }
+
+  // The writes in flight for purged keys hold responses from before the
+  // purge, so they stop keeping the writes started after it from being stored
+  #dropPendingWrites (predicate) {
+    for (const [pendingKey, pendingWrites] of this.#pendingWrites) {
+      for (const pending of pendingWrites.filter(predicate)) {
+        this.#deletePendingWrite(pendingKey, pending)
+      }
+    }
+  }
+
+  delete (key, opts = {}) {
+    if (typeof key !== 'object') {
+      throw new TypeError(`expected key to be object, got ${typeof key}`)
+    }
+    const soft = isSoft(opts)
+
+    if (channels.invalidate.hasSubscribers) {
+      channels.invalidate.publish({ store: this, type: 'key', keys: [key], soft })
+    }
+    this.#dropPendingWrites(pending => pending.origin === key.origin && pending.path === key.path)
+    if (soft) {
+      this.#staleByKey(key, { deleteAllMethods: true, reason: 'key' })
+    } else {
+      this.#deleteByKey(key, { deleteAllMethods: true, reason: 'key' })
+    }
+    this.#broadcast('delete', [key, opts])
   }
 
-  deleteKeys (keys) {
+  deleteKeys (keys, opts = {}) {
+    const soft = isSoft(opts)
+
+    if (channels.invalidate.hasSubscribers) {
+      channels.invalidate.publish({ store: this, type: 'key', keys, soft })
+    }
     for (const key of keys) {
       if (key.origin === undefined) {
         throw new TypeError('key.origin must be defined')
@@ -165,20 +714,463 @@ class MemoryCacheStore {
       if (key.path === undefined) {
         throw new TypeError('key.path must be defined')
       }
-      this.#deleteByKey(key)
+      this.#dropPendingWrites(pending =>
+        pending.origin === key.origin &&
+        pending.path === key.path &&
+        (key.method === undefined || pending.method === key.method))
+      if (soft) {
+        this.#staleByKey(key, { reason: 'key' })
+      } else {
+        this.#deleteByKey(key, { reason: 'key' })
+      }
+    }
+    this.#broadcast('deleteKeys', [keys, opts])
+  }
+
+  deletePaths (opts) {
+    if (typeof opts !== 'object' || opts === null) {
+      throw new TypeError(`expected opts to be object, got ${typeof opts}`)
+    }
+    if (typeof opts.origin !== 'string') {
+      throw new TypeError('opts.origin must be a string')
+    }
+
+    const matchers = ['prefix', 'glob', 'regexp'].filter(name => opts[name] !== undefined)
+    if (matchers.length !== 1) {
+      throw new TypeError('exactly one of opts.prefix, opts.glob or opts.regexp must be defined')
+    }
+
+    let prefix = ''
+    let matches
+    if (opts.prefix !== undefined) {
+      if (typeof opts.prefix !== 'string') {
+        throw new TypeError('opts.prefix must be a string')
+      }
+      prefix = opts.prefix
+    } else if (opts.glob !== undefined) {
+      if (typeof opts.glob !== 'string') {
+        throw new TypeError('opts.glob must be a string')
+      }
+      const glob = compileGlob(opts.glob)
+      prefix = glob.prefix
+      matches = path => glob.regexp.test(path)
+    } else {
+      if (!(opts.regexp instanceof RegExp)) {
+        throw new TypeError('opts.regexp must be a RegExp')
+      }
+      // Without the global and sticky flags, test() does not keep state
+      const regexp = new RegExp(opts.regexp.source, opts.regexp.flags.replace(/[gy]/g, ''))
+      matches = path => regexp.test(path)
+    }
+
+    const soft = isSoft(opts)
+    let paths = this.#paths.withPrefix(opts.origin, prefix)
+    if (matches) {
+      paths = paths.filter(matches)
+    }
+
+    if (channels.invalidate.hasSubscribers) {
+      channels.invalidate.publish({
+        store: this,
+        type: 'path',
+        origin: opts.origin,
+        method: opts.method,
+        paths,
+        soft
+      })
+    }
+
+    // Matches the routes on disk and the writes in flight
+    const predicate = route =>
+      route.origin === opts.origin &&
+      (opts.method === undefined || route.method === opts.method) &&
+      route.path.startsWith(prefix) &&
+      (matches === undefined || matches(route.path))
+    this.#dropPendingWrites(predicate)
+
+    const tagsOrigin = this.#cacheTagsScope === 'origin' ? opts.origin : undefined
+    const seenTags = new Set()
+    for (const path of paths) {
+      const key = { origin: opts.origin, path, method: opts.method }
+      if (soft) {
+        this.#staleByKey(key, { reason: 'path' }, seenTags)
+      } else {
+        this.#deleteByKey(key, { reason: 'path' })
+      }
+    }
+
+    if (this.#diskTier) {
+      if (soft) {
+        this.#staleOnDisk(predicate, tagsOrigin, 'path', seenTags)
+      } else {
+        this.#deleteFromDisk(predicate, tagsOrigin)
+      }
+    }
+
+    this.#broadcast('deletePaths', [opts])
+  }
+
+  deleteTags (tags, opts = {}) {
+    if (opts.origin !== undefined && typeof opts.origin !== 'string') {
+      throw new TypeError('opts.origin must be a string')
+    }
+    if (opts.origin === undefined && this.#cacheTagsScope === 'origin') {
+      throw new TypeError('opts.origin must be defined when cacheTagsScope is \'origin\'')
+    }
+
+    const soft = isSoft(opts)
+
+    if (channels.invalidate.hasSubscribers) {
+      channels.invalidate.publish({ store: this, type: 'tag', tags, origin: opts.origin, soft })
+    }
+    const seenTags = new Set()
+    for (const tag of normalizeCacheTags(tags, this.#cacheTags)) {
+      this.#dropPendingWrites(pending =>
+        pending.cacheTags.includes(tag) &&
+        (opts.origin === undefined || pending.origin === opts.origin))
+      if (soft) {
+        this.#staleByTag(tag, opts.origin, 'tag', seenTags)
+      } else {
+        this.#deleteByTag(tag, opts.origin)
+      }
+    }
+    this.#broadcast('deleteTags', [tags, opts])
+  }
+
+  deleteOlderThan (timestamp, opts = {}) {
+    const to = toTimestamp(timestamp, 'timestamp')
+    const from = opts.newerThan === undefined ? -Infinity : toTimestamp(opts.newerThan, 'opts.newerThan')
+    this.#deleteByCachedAt(from, to, opts)
+    this.#broadcast('deleteOlderThan', [timestamp, opts])
+  }
+
+  deleteNewerThan (timestamp, opts = {}) {
+    const from = toTimestamp(timestamp, 'timestamp')
+    const to = opts.olderThan === undefined ? Infinity : toTimestamp(opts.olderThan, 'opts.olderThan')
+    this.#deleteByCachedAt(from, to, opts)
+    this.#broadcast('deleteNewerThan', [timestamp, opts])
+  }
+
+  // Removes exactly the entries cached from `from` to `to` excluded, found
+  // through the cachedAt index, or the tag index when a tag is given. Unlike
+  // the other invalidations, it does not cascade to the entries sharing
+  // their tags or their route.
+  #deleteByCachedAt (from, to, opts) {
+    if (typeof opts !== 'object' || opts === null) {
+      throw new TypeError(`expected opts to be object, got ${typeof opts}`)
+    }
+    if (opts.origin !== undefined && typeof opts.origin !== 'string') {
+      throw new TypeError('opts.origin must be a string')
+    }
+    if (opts.tag !== undefined && typeof opts.tag !== 'string') {
+      throw new TypeError('opts.tag must be a string')
+    }
+    const soft = isSoft(opts)
+
+    if (channels.invalidate.hasSubscribers) {
+      channels.invalidate.publish({
+        store: this,
+        type: 'time',
+        origin: opts.origin,
+        tag: opts.tag,
+        newerThan: from === -Infinity ? undefined : from,
+        olderThan: to === Infinity ? undefined : to,
+        soft
+      })
+    }
+
+    const [tag] = opts.tag === undefined ? [] : normalizeCacheTags([opts.tag], this.#cacheTags)
+    const cachedBetween = (entry) => entry.cachedAt >= from && entry.cachedAt < to
+
+    let entries = []
+    if (tag === undefined) {
+      entries = this.#cachedAt.between(opts.origin, from, to)
+    } else {
+      const origins = opts.origin === undefined ? [...this.#tags.keys()] : [opts.origin]
+      for (const tagOrigin of origins) {
+        for (const cacheKey of this.#tags.get(tagOrigin)?.get(tag) ?? []) {
+          for (const entry of this.#getEntries({ origin: tagOrigin, ...decodeCacheKey(cacheKey) }) ?? []) {
+            if (entry.cacheTags.includes(tag) && cachedBetween(entry)) {
+              entries.push(entry)
+            }
+          }
+        }
+      }
+    }
+
+    const staleAt = softPurgeStaleAt()
+    for (const entry of entries) {
+      if (soft) {
+        this.#markStale(entry, staleAt, 'time')
+      } else {
+        this.#deleteEntry(entry, entry, 'delete', 'time')
+      }
+    }
+
+    if (this.#diskTier) {
+      const predicate = record =>
+        (opts.origin === undefined || record.origin === opts.origin) &&
+        (tag === undefined || record.cacheTags?.includes(tag)) &&
+        cachedBetween(record)
+      if (soft) {
+        this.#diskTier.markStale(predicate, staleAt)
+      } else {
+        this.#diskTier.deleteWhere(predicate)
+      }
+    }
+  }
+
+  getStats () {
+    const origins = {}
+    for (const [origin, originStats] of this.#originStats) {
+      const usage = this.#originUsage.get(origin)
+      origins[origin] = {
+        ...originStats,
+        evictionsByReason: { ...originStats.evictionsByReason },
+        size: usage?.size ?? 0,
+        count: usage?.count ?? 0
+      }
+    }
+
+    // Origins are charged for every entry, shared bodies included
+    let entriesSize = 0
+    for (const usage of this.#originUsage.values()) {
+      entriesSize += usage.size
+    }
+
+    return {
+      ...this.#stats,
+      evictionsByReason: { ...this.#stats.evictionsByReason },
+      size: this.#size,
+      count: this.#count,
+      dedupRatio: this.#size === 0 ? 1 : entriesSize / this.#size,
+      origins
+    }
+  }
+
+  async * entries (opts = {}) {
+    if (typeof opts !== 'object' || opts === null) {
+      throw new TypeError(`expected opts to be object, got ${typeof opts}`)
+    }
+    for (const name of ['origin', 'pathPrefix', 'method', 'tag']) {
+      if (opts[name] !== undefined && typeof opts[name] !== 'string') {
+        throw new TypeError(`opts.${name} must be a string`)
+      }
+    }
+    for (const name of ['includeExpired', 'includeBody']) {
+      if (opts[name] !== undefined && typeof opts[name] !== 'boolean') {
+        throw new TypeError(`opts.${name} must be a boolean`)
+      }
+    }
+
+    const [tag] = opts.tag === undefined ? [] : normalizeCacheTags([opts.tag], this.#cacheTags)
+    const now = Date.now()
+    for (const route of this.#matchingRoutes({ ...opts, tag })) {
+      // Copied, as entries can be deleted while the caller awaits
+      const entries = [...(this.#getEntries(route) ?? [])]
+      for (const entry of entries) {
+        if (!opts.includeExpired && entry.deleteAt <= now) continue
+        if (tag !== undefined && !entry.cacheTags.includes(tag)) continue
+        if (!this.#isStored(entry)) continue
+
+        const item = {
+          key: { origin: entry.origin, path: entry.path, method: entry.method },
+          statusCode: entry.statusCode,
+          size: entry.size,
+          vary: entry.vary,
+          etag: entry.etag,
+          cacheTags: entry.cacheTags,
+          cachedAt: entry.cachedAt,
+          staleAt: entry.staleAt,
+          deleteAt: entry.deleteAt
+        }
+        if (opts.includeBody) {
+          item.body = entry.compression ? decompressBody(entry.compression, entry.body) : entry.body
+        }
+        yield item
+      }
+    }
+  }
+
+  // The origin, path and method of the routes entries() looks into, through
+  // the cache tag and path indexes rather than every entry when it can
+  #matchingRoutes ({ origin, pathPrefix = '', method, tag }) {
+    const routes = []
+    if (tag !== undefined) {
+      const origins = origin === undefined ? [...this.#tags.keys()] : [origin]
+      for (const tagOrigin of origins) {
+        for (const cacheKey of this.#tags.get(tagOrigin)?.get(tag) ?? []) {
+          const route = { origin: tagOrigin, ...decodeCacheKey(cacheKey) }
+          if (route.path.startsWith(pathPrefix) && (method === undefined || route.method === method)) {
+            routes.push(route)
+          }
+        }
+      }
+      return routes
+    }
+
+    const origins = origin === undefined ? [...this.#entries.keys()] : [origin]
+    for (const routeOrigin of origins) {
+      for (const path of this.#paths.withPrefix(routeOrigin, pathPrefix)) {
+        const methods = method === undefined
+          ? [...this.#entries.get(routeOrigin)?.get(path)?.keys() ?? []]
+          : [method]
+        for (const routeMethod of methods) {
+          routes.push({ origin: routeOrigin, path, method: routeMethod })
+        }
+      }
+    }
+    return routes
+  }
+
+  async snapshot (destination) {
+    const now = Date.now()
+    const entries = []
+    for (const originValues of this.#entries.values()) {
+      for (const pathValues of originValues.values()) {
+        for (const methodEntries of pathValues.values()) {
+          for (const entry of methodEntries) {
+            if (entry.deleteAt > now) {
+              entries.push(entry)
+            }
+          }
+        }
+      }
+    }
+
+    await writeSnapshot(entries, destination)
+  }
+
+  static async restore (source, opts) {
+    const store = new MemoryCacheStore(opts)
+
+    for await (const { key, value, body } of readSnapshot(source)) {
+      if (value.deleteAt <= Date.now()) continue
+
+      const cacheTags = value.cacheTags ?? []
+      const entry = { ...key, ...value, cacheTags, body, size: 0 }
+      store.#recompress(entry)
+      for (const chunk of entry.body) {
+        entry.size += chunk.byteLength
+      }
+
+      if (entry.size >= store.#maxEntrySize) {
+        store.#record('reject', entry, entry.size, 'max-entry-size')
+        continue
+      }
+
+      // The vary values stand in for the request headers, so that only the
+      // same variant is replaced
+      store.#saveEntry({ ...key, headers: varyToHeaders(value.vary) }, entry)
+    }
+
+    return store
+  }
+
+  // Compresses the body as this store would have, whatever the options of
+  // the store it comes from
+  #recompress (entry) {
+    const compression = isContentEncoded(entry.headers) ? undefined : this.#compression
+    if (entry.compression === compression?.algorithm) return
+
+    if (entry.compression) {
+      entry.body = decompressBody(entry.compression, entry.body)
+      entry.compression = undefined
+    }
+
+    let size = 0
+    for (const chunk of entry.body) {
+      size += chunk.byteLength
+    }
+    if (compression && size >= compression.minSize) {
+      entry.body = compressBody(compression.algorithm, entry.body)
+      entry.compression = compression.algorithm
+    }
+  }
+
+  async close () {
+    if (this.#sweepTimer) {
+      clearInterval(this.#sweepTimer)
+      this.#sweepTimer = undefined
+    }
+
+    this.#broadcastChannel?.close()
+    this.#broadcastChannel = undefined
+
+    await this.#diskTier?.close()
+  }
+
+  #broadcast (method, args) {
+    // Peers apply the invalidation without sending it back
+    if (this.#broadcastChannel === undefined || this.#applyingBroadcast) return
+
+    try {
+      this.#broadcastChannel.postMessage({ source: this.#id, method, args })
+    } catch (err) {
+      if (this.listenerCount('error') > 0) {
+        this.emit('error', err)
+      }
     }
   }
 
-  deleteTags (tags) {
-    for (const tag of tags) {
-      this.#deleteByTag(tag)
+  #onBroadcast (message) {
+    if (
+      typeof message !== 'object' ||
+      message === null ||
+      message.source === this.#id ||
+      !broadcastMethods.has(message.method) ||
+      !Array.isArray(message.args)
+    ) {
+      return
+    }
+
+    this.#applyingBroadcast = true
+    try {
+      this[message.method](...message.args)
+    } catch (err) {
+      if (this.listenerCount('error') > 0) {
+        this.emit('error', err)
+      }
+    } finally {
+      this.#applyingBroadcast = false
     }
   }
 
+  // Returns the limit that kept the entry from being stored, if any
   #saveEntry (key, entry) {
     const existingEntry = findEntry(key, this.#getEntries(key) || [], Date.now())
     if (existingEntry) {
-      this.#deleteEntry(key, existingEntry)
+      this.#deleteEntry(key, existingEntry, 'delete', 'replace')
+    }
+
+    // A body identical to a stored one costs nothing but its origin's share.
+    // Retained before making room, so evictions can't release it meanwhile.
+    const body = this.#dedupe ? this.#retainBody(entry) : undefined
+    const cost = body?.refs > 1 ? 0 : entry.size
+
+    const originLimits = this.#originLimits.get(key.origin) ?? this.#defaultOriginLimits
+    // Entries that could never fit are dropped without evicting anything
+    let rejection = overLimit(cost, 0, 0, this.#limits)
+    if (rejection === undefined && originLimits) {
+      // An origin over its own limits evicts from itself first, so it can't
+      // push the other origins out
+      rejection = overLimit(entry.size, 0, 0, originLimits, 'origin-') ??
+        this.#evictFromOrigin(key.origin, originLimits, entry.size)
+    }
+    // Make room before inserting so that the policy never picks the
+    // incoming entry as its own victim
+    rejection ??= this.#evict(cost)
+    if (rejection !== undefined) {
+      if (body) {
+        this.#releaseBody(body)
+      }
+      this.#record('reject', entry, entry.size, rejection)
+      return rejection
+    }
+
+    if (body) {
+      entry.body = body.chunks
+      entry.bodyHash = body.hash
     }
 
     let originValues = this.#entries.get(key.origin)
@@ -191,6 +1183,7 @@ class MemoryCacheStore {
     if (!pathValues) {
       pathValues = new Map()
       originValues.set(key.path, pathValues)
+      this.#paths.add(key.origin, key.path)
     }
 
     let entries = pathValues.get(key.method)
@@ -200,13 +1193,44 @@ class MemoryCacheStore {
     }
 
     entries.push(entry)
+    this.#cachedAt.add(entry)
+    this.#policy.onInsert(entry)
+    this.#saveCacheTags(key, entry.cacheTags)
+    this.#diskTier?.deleteVariant(entry)
 
-    this.#size += entry.size
+    this.#size += cost
     this.#count += 1
 
-    if (this.#size > this.#maxSize || this.#count > this.#maxCount) {
-      this.#deleteHalf()
+    let usage = this.#originUsage.get(key.origin)
+    if (!usage) {
+      usage = { size: 0, count: 0 }
+      this.#originUsage.set(key.origin, usage)
     }
+    usage.size += entry.size
+    usage.count += 1
+
+    this.#record('store', entry, entry.size, existingEntry ? 'replace' : 'new')
+    return undefined
+  }
+
+  #retainBody (entry) {
+    const hash = entry.bodyHash ?? hashBody(entry.body)
+    let body = this.#bodies.get(hash)
+    if (!body) {
+      body = { hash, chunks: entry.body, size: entry.size, refs: 0 }
+      this.#bodies.set(hash, body)
+    }
+    body.refs++
+    return body
+  }
+
+  // Returns the bytes freed, once the last entry with the body is gone
+  #releaseBody (body) {
+    body.refs--
+    if (body.refs > 0) return 0
+
+    this.#bodies.delete(body.hash)
+    return body.size
   }
 
   #getEntries (key) {
@@ -219,65 +1243,102 @@ class MemoryCacheStore {
     return pathValues.get(key.method)
   }
 
-  #parseCacheTags (headers) {
-    if (!this.#cacheTagsHeader) {
-      return []
-    }
-
-    for (const [header, headerValue] of Object.entries(headers)) {
-      const headerName = header.toLowerCase()
-      if (headerName !== this.#cacheTagsHeader) continue
-
-      return headerValue.toString().split(',')
-    }
-
-    return []
-  }
-
   #saveCacheTags (key, cacheTags) {
     if (cacheTags.length === 0) return
 
+    let originTags = this.#tags.get(key.origin)
+    if (!originTags) {
+      originTags = new Map()
+      this.#tags.set(key.origin, originTags)
+    }
+
     for (const cacheTag of cacheTags) {
-      let tagPaths = this.#tags.get(cacheTag)
+      let tagPaths = originTags.get(cacheTag)
       if (!tagPaths) {
         tagPaths = new Set()
-        this.#tags.set(cacheTag, tagPaths)
+        originTags.set(cacheTag, tagPaths)
       }
-      tagPaths.add(
-        `${encodeURIComponent(key.origin)}:` +
-        `${encodeURIComponent(key.path)}:` +
-        `${encodeURIComponent(key.method)}`
-      )
+      tagPaths.add(encodeCacheKey(key))
     }
   }
 
-  #deleteByTag (cacheTag) {
-    const cacheKeys = this.#tags.get(cacheTag)
-    if (!cacheKeys) return
+  #deleteByTag (cacheTag, origin) {
+    const origins = origin === undefined ? [...this.#tags.keys()] : [origin]
+
+    for (const tagOrigin of origins) {
+      const originTags = this.#tags.get(tagOrigin)
+      const cacheKeys = originTags?.get(cacheTag)
+      if (!cacheKeys) continue
+
+      for (const cacheKey of cacheKeys) {
+        this.#deleteByKey({ origin: tagOrigin, ...decodeCacheKey(cacheKey) }, { tagsOrigin: origin, reason: 'tag' })
+      }
+
+      originTags.delete(cacheTag)
+      if (originTags.size === 0) {
+        this.#tags.delete(tagOrigin)
+      }
+    }
 
-    for (const cacheKey of cacheKeys) {
-      const [origin, path, method] = cacheKey.split(':')
-        .map(decodeURIComponent)
-      this.#deleteByKey({ origin, path, method })
+    if (this.#diskTier) {
+      this.#deleteFromDisk(record =>
+        record.cacheTags?.includes(cacheTag) &&
+        (origin === undefined || record.origin === origin),
+      origin)
     }
+  }
 
-    this.#tags.delete(cacheTag)
+  // Entries on disk are outside of size and count, so no event is recorded
+  #deleteFromDisk (predicate, tagsOrigin) {
+    for (const record of this.#diskTier.deleteWhere(predicate)) {
+      for (const cacheTag of record.cacheTags ?? []) {
+        this.#deleteByTag(cacheTag, tagsOrigin)
+      }
+    }
   }
 
-  #deleteHalf () {
-    for (const [origin, originValues] of this.#entries) {
-      for (const [path, pathValues] of originValues) {
-        for (const [method, entries] of pathValues) {
-          for (let i = 0; i < entries.length / 2; i++) {
-            this.#deleteEntry({ origin, path, method }, entries[i])
-          }
-        }
+  // Evicts until an entry of incomingSize fits. Returns the limit that is
+  // still exceeded if the policy runs out of entries to evict.
+  #evict (incomingSize) {
+    let reason
+    while ((reason = overLimit(incomingSize, this.#size, this.#count, this.#limits)) !== undefined) {
+      const entry = this.#policy.evict()
+      // Entries hold their own origin, path and method, so they double as keys
+      if (entry === undefined || !this.#deleteEntry(entry, entry, 'evict', reason)) return reason
+    }
+    return undefined
+  }
+
+  #evictFromOrigin (origin, limits, incomingSize) {
+    while (true) {
+      const usage = this.#originUsage.get(origin) ?? { size: 0, count: 0 }
+      const reason = overLimit(incomingSize, usage.size, usage.count, limits, 'origin-')
+      if (reason === undefined) return undefined
+
+      const entry = this.#policy.evict(origin)
+      if (entry === undefined || entry.origin !== origin || !this.#deleteEntry(entry, entry, 'evict', reason)) {
+        return reason
       }
     }
   }
 
+  get #limits () {
+    return { maxSize: this.#maxSize, maxCount: this.#maxCount }
+  }
+
   #deleteByKey (key, opts = {}) {
     const deleteAllMethods = opts.deleteAllMethods ?? false
+    // Routes sharing a tag go too, across origins unless tags are scoped
+    const tagsOrigin = opts.tagsOrigin ??
+      (this.#cacheTagsScope === 'origin' ? key.origin : undefined)
+
+    if (this.#diskTier) {
+      this.#deleteFromDisk(record =>
+        record.origin === key.origin &&
+        record.path === key.path &&
+        (deleteAllMethods || key.method === undefined || record.method === key.method),
+      tagsOrigin)
+    }
 
     const originValues = this.#entries.get(key.origin)
     if (!originValues) return
@@ -291,33 +1352,111 @@ class MemoryCacheStore {
         entries.push(...methodEntries)
       }
     } else {
-      entries = pathValues.get(key.method)
+      // Copied, as #deleteEntry removes entries from the array
+      entries = [...(pathValues.get(key.method) ?? [])]
     }
 
     if (!entries || entries.length === 0) return
 
     for (const entry of entries) {
-      this.#deleteEntry(key, entry)
+      this.#deleteEntry(entry, entry, 'delete', opts.reason)
       if (entry.cacheTags) {
-        this.deleteTags(entry.cacheTags)
+        for (const cacheTag of entry.cacheTags) {
+          this.#deleteByTag(cacheTag, tagsOrigin)
+        }
       }
     }
   }
 
-  #deleteEntry (key, entry) {
+  // Soft purges mark entries stale rather than deleting them, so they can
+  // still be served while they are revalidated. Tags cascade as they do for
+  // deletions, each of them once, since the tagged entries stay.
+  #staleByKey (key, opts, seenTags = new Set()) {
+    const deleteAllMethods = opts.deleteAllMethods ?? false
+    const tagsOrigin = opts.tagsOrigin ??
+      (this.#cacheTagsScope === 'origin' ? key.origin : undefined)
+
+    if (this.#diskTier) {
+      this.#staleOnDisk(record =>
+        record.origin === key.origin &&
+        record.path === key.path &&
+        (deleteAllMethods || key.method === undefined || record.method === key.method),
+      tagsOrigin, opts.reason, seenTags)
+    }
+
+    const pathValues = this.#entries.get(key.origin)?.get(key.path)
+    if (!pathValues) return
+
+    const entries = []
+    if (deleteAllMethods || key.method === undefined) {
+      for (const methodEntries of pathValues.values()) {
+        entries.push(...methodEntries)
+      }
+    } else {
+      entries.push(...(pathValues.get(key.method) ?? []))
+    }
+
+    const staleAt = softPurgeStaleAt()
+    for (const entry of entries) {
+      this.#markStale(entry, staleAt, opts.reason)
+      for (const cacheTag of entry.cacheTags ?? []) {
+        this.#staleByTag(cacheTag, tagsOrigin, opts.reason, seenTags)
+      }
+    }
+  }
+
+  #markStale (entry, staleAt, reason) {
+    if (entry.staleAt > staleAt) {
+      entry.staleAt = staleAt
+      this.#record('stale', entry, entry.size, reason)
+    }
+  }
+
+  #staleByTag (cacheTag, origin, reason, seenTags) {
+    if (seenTags.has(cacheTag)) return
+    seenTags.add(cacheTag)
+
+    const origins = origin === undefined ? [...this.#tags.keys()] : [origin]
+    for (const tagOrigin of origins) {
+      for (const cacheKey of this.#tags.get(tagOrigin)?.get(cacheTag) ?? []) {
+        this.#staleByKey({ origin: tagOrigin, ...decodeCacheKey(cacheKey) }, { tagsOrigin: origin, reason }, seenTags)
+      }
+    }
+
+    if (this.#diskTier) {
+      this.#staleOnDisk(record =>
+        record.cacheTags?.includes(cacheTag) &&
+        (origin === undefined || record.origin === origin),
+      origin, reason, seenTags)
+    }
+  }
+
+  #staleOnDisk (predicate, tagsOrigin, reason, seenTags) {
+    for (const record of this.#diskTier.markStale(predicate, softPurgeStaleAt())) {
+      for (const cacheTag of record.cacheTags ?? []) {
+        this.#staleByTag(cacheTag, tagsOrigin, reason, seenTags)
+      }
+    }
+  }
+
+  #deleteEntry (key, entry, event, reason) {
     const originValues = this.#entries.get(key.origin)
-    if (!originValues) return
+    if (!originValues) return false
 
     const pathValues = originValues.get(key.path)
-    if (!pathValues) return
+    if (!pathValues) return false
 
     const entries = pathValues.get(key.method)
-    if (!entries) return
+    if (!entries) return false
 
     const index = entries.indexOf(entry)
-    if (index === -1) return
+    if (index === -1) return false
 
     entries.splice(index, 1)
+    this.#cachedAt.delete(entry)
+    if (!entry.pins) {
+      this.#policy.onDelete(entry)
+    }
 
     if (entries.length === 0) {
       pathValues.delete(key.method)
@@ -325,25 +1464,51 @@ class MemoryCacheStore {
 
     if (pathValues.size === 0) {
       originValues.delete(key.path)
+      this.#paths.delete(key.origin, key.path)
     }
 
     if (originValues.size === 0) {
       this.#entries.delete(key.origin)
     }
 
-    this.#size -= entry.size
+    this.#size -= entry.bodyHash === undefined
+      ? entry.size
+      : this.#releaseBody(this.#bodies.get(entry.bodyHash))
     this.#count -= 1
 
+    const usage = this.#originUsage.get(key.origin)
+    usage.size -= entry.size
+    usage.count -= 1
+    if (usage.count === 0) {
+      this.#originUsage.delete(key.origin)
+    }
+
     this.#unlinkRouteFromCacheTag(key, entry.cacheTags)
+    this.#record(event, entry, entry.size, reason)
+
+    if (event === 'evict' && this.#diskTier && entry.deleteAt > Date.now()) {
+      this.#diskTier.put(entry)
+      this.#record('demote', entry, entry.size, reason)
+    }
+
+    return true
   }
 
   #unlinkRouteFromCacheTag (key, cacheTags) {
+    if (!cacheTags || cacheTags.length === 0) return
+
+    // Other vary variants of the same route may still carry the tag
+    const remainingEntries = this.#getEntries(key) || []
+    const cacheKey = encodeCacheKey(key)
+
     const originTags = this.#tags.get(key.origin)
     if (!originTags) return
 
-    const cacheKey = `${key.path}:${key.method}`
-
     for (const cacheTag of cacheTags) {
+      if (remainingEntries.some(entry => entry.cacheTags.includes(cacheTag))) {
+        continue
+      }
+
       const cacheKeys = originTags.get(cacheTag)
       if (!cacheKeys) continue
 
@@ -353,45 +1518,251 @@ class MemoryCacheStore {
         originTags.delete(cacheTag)
       }
     }
-  }
-}
 
-function findEntry (key, entries, now) {
-  for (let entryIndex = 0; entryIndex < entries.length; entryIndex++) {
-    const entry = entries[entryIndex]
-    if (entry.deleteAt <= now) {
-      continue
+    if (originTags.size === 0) {
+      this.#tags.delete(key.origin)
     }
+  }
 
-    if (entry.vary == null) {
-      return entry
+  // Counts the event, globally and for the origin, then emits it
+  #record (event, key, size, reason) {
+    const counter = statsCounters[event]
+    const originStats = this.#getOriginStats(key.origin)
+    this.#stats[counter]++
+    originStats[counter]++
+    if (event === 'hit' && reason === 'stale') {
+      this.#stats.staleHits++
+      originStats.staleHits++
+    } else if (event === 'evict') {
+      this.#stats.evictionsByReason[reason] = (this.#stats.evictionsByReason[reason] ?? 0) + 1
+      originStats.evictionsByReason[reason] = (originStats.evictionsByReason[reason] ?? 0) + 1
     }
 
-    const varyHeaders = Object.keys(entry.vary)
-    let matches = true
-    for (let headerIndex = 0; headerIndex < varyHeaders.length; headerIndex++) {
-      const headerName = varyHeaders[headerIndex]
-      const expected = entry.vary[headerName]
-      const actual = key.headers?.[headerName]
+    // Skip building the payload when nobody listens
+    if (this.listenerCount(event) === 0) return
 
-      if (expected === null) {
-        if (actual !== undefined) {
-          matches = false
+    this.emit(event, {
+      key: { origin: key.origin, path: key.path, method: key.method },
+      vary: key.vary,
+      size,
+      reason
+    })
+  }
+
+  // Past maxStatsOrigins, the counters of the least recently seen origin are
+  // folded into otherOrigins to make room for a new one
+  #getOriginStats (origin) {
+    let originStats = this.#originStats.get(origin)
+    if (originStats) {
+      this.#originStats.delete(origin)
+      this.#originStats.set(origin, originStats)
+      return originStats
+    }
+
+    const trackedOrigins = this.#originStats.size - (this.#originStats.has(otherOrigins) ? 1 : 0)
+    if (trackedOrigins >= this.#maxStatsOrigins) {
+      if (trackedOrigins === 0) {
+        return this.#getOtherStats()
+      }
+      for (const oldestOrigin of this.#originStats.keys()) {
+        if (oldestOrigin !== otherOrigins) {
+          this.#foldOriginStats(oldestOrigin)
           break
         }
-      } else if (expected !== actual) {
-        matches = false
-        break
       }
     }
 
-    if (matches) {
-      return entry
+    originStats = createStats()
+    this.#originStats.set(origin, originStats)
+    return originStats
+  }
+
+  #getOtherStats () {
+    let otherStats = this.#originStats.get(otherOrigins)
+    if (!otherStats) {
+      otherStats = createStats()
+      this.#originStats.set(otherOrigins, otherStats)
+    }
+    return otherStats
+  }
+
+  #foldOriginStats (origin) {
+    const originStats = this.#originStats.get(origin)
+    this.#originStats.delete(origin)
+
+    const otherStats = this.#getOtherStats()
+    for (const [counter, value] of Object.entries(originStats)) {
+      if (counter !== 'evictionsByReason') {
+        otherStats[counter] += value
+      }
+    }
+    for (const [reason, value] of Object.entries(originStats.evictionsByReason)) {
+      otherStats.evictionsByReason[reason] = (otherStats.evictionsByReason[reason] ?? 0) + value
     }
   }
 
+  #sweep () {
+    const now = Date.now()
+    const expiredEntries = []
+
+    for (const originValues of this.#entries.values()) {
+      for (const pathValues of originValues.values()) {
+        for (const entries of pathValues.values()) {
+          for (const entry of entries) {
+            if (entry.deleteAt <= now) {
+              expiredEntries.push(entry)
+            }
+          }
+        }
+      }
+    }
+
+    for (const entry of expiredEntries) {
+      this.#deleteEntry(entry, entry, 'expire', 'sweep')
+    }
+
+    this.#diskTier?.deleteWhere(record => record.deleteAt <= now)
+  }
+}
+
+function varyToHeaders (vary) {
+  const headers = {}
+  for (const [name, value] of Object.entries(vary ?? {})) {
+    if (value !== null) {
+      headers[name] = value
+    }
+  }
+  return headers
+}
+
+function hashBody (body) {
+  const hash = createHash('sha256')
+  for (const chunk of body) {
+    hash.update(chunk)
+  }
+  return hash.digest('base64')
+}
+
+function isContentEncoded (headers) {
+  const contentEncoding = headers?.['content-encoding']
+  return contentEncoding !== undefined && contentEncoding !== 'identity'
+}
+
+function noop () {}
+
+// A millisecond back, as undici only considers entries stale once their
+// staleAt has passed
+function softPurgeStaleAt () {
+  return Date.now() - 1
+}
+
+function toTimestamp (value, name) {
+  const timestamp = value instanceof Date ? value.getTime() : value
+  if (typeof timestamp !== 'number' || Number.isNaN(timestamp)) {
+    throw new TypeError(`${name} must be a number or a Date`)
+  }
+  return timestamp
+}
+
+function isSoft (opts) {
+  if (typeof opts !== 'object' || opts === null) {
+    throw new TypeError(`expected opts to be object, got ${typeof opts}`)
+  }
+  if (opts.soft !== undefined && typeof opts.soft !== 'boolean') {
+    throw new TypeError('opts.soft must be a boolean')
+  }
+  return opts.soft ?? false
+}
+
+function publishWriteAbort (store, key, entry, reason, error) {
+  if (channels.writeAbort.hasSubscribers) {
+    channels.writeAbort.publish({ store, key, size: entry.size, reason, error })
+  }
+}
+
+// Event -> counter reported by getStats()
+const statsCounters = {
+  hit: 'hits',
+  miss: 'misses',
+  store: 'writes',
+  reject: 'rejectedWrites',
+  evict: 'evictions',
+  expire: 'expirations',
+  delete: 'deletions',
+  demote: 'demotions',
+  promote: 'promotions',
+  stale: 'softPurges'
+}
+
+// Invalidations that are sent to the peer stores
+const broadcastMethods = new Set(['delete', 'deleteKeys', 'deleteTags', 'deletePaths', 'deleteOlderThan', 'deleteNewerThan'])
+
+// getStats().origins key of the counters folded past maxStatsOrigins
+const otherOrigins = 'other'
+
+function createStats () {
+  return {
+    hits: 0,
+    misses: 0,
+    staleHits: 0,
+    writes: 0,
+    rejectedWrites: 0,
+    evictions: 0,
+    evictionsByReason: {},
+    expirations: 0,
+    deletions: 0,
+    softPurges: 0,
+    demotions: 0,
+    promotions: 0
+  }
+}
+
+// Returns the limit that one more entry of incomingSize would exceed
+function overLimit (incomingSize, size, count, limits, prefix = '') {
+  if (size + incomingSize > limits.maxSize) return `${prefix}max-size`
+  if (count + 1 > limits.maxCount) return `${prefix}max-count`
   return undefined
 }
 
+function parseLimits (limits, name) {
+  if (typeof limits !== 'object' || limits === null) {
+    throw new TypeError(`MemoryCacheStore options.${name} must be an object`)
+  }
+
+  for (const limit of ['maxSize', 'maxCount']) {
+    if (limits[limit] === undefined) continue
+    if (
+      typeof limits[limit] !== 'number' ||
+      !Number.isInteger(limits[limit]) ||
+      limits[limit] < 0
+    ) {
+      throw new TypeError(`MemoryCacheStore options.${name}.${limit} must be a non-negative integer`)
+    }
+  }
+
+  return {
+    maxSize: limits.maxSize ?? Infinity,
+    maxCount: limits.maxCount ?? Infinity
+  }
+}
+
+function encodeCacheKey (key) {
+  return `${encodeURIComponent(key.path)}:${encodeURIComponent(key.method)}`
+}
+
+function decodeCacheKey (cacheKey) {
+  const [path, method] = cacheKey.split(':').map(decodeURIComponent)
+  return { path, method }
+}
 
 module.exports = MemoryCacheStore
+module.exports.LRUPolicy = policies.LRUPolicy
+module.exports.LFUPolicy = policies.LFUPolicy
+module.exports.WTinyLFUPolicy = policies.WTinyLFUPolicy
+module.exports.GDSFPolicy = policies.GDSFPolicy
+module.exports.prometheusMetrics = metrics.prometheusMetrics
+module.exports.registerOpenTelemetryMetrics = metrics.registerOpenTelemetryMetrics
+module.exports.channels = channels
+module.exports.SharedMemoryCacheStore = require('./lib/shared-memory-cache-store.js')
+module.exports.createAdminHandler = admin.createAdminHandler
+module.exports.fastifyAdmin = admin.fastifyAdmin
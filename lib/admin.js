@@ -0,0 +1,243 @@
+'use strict'
+
+const maxBodySize = 64 * 1024
+
+/**
+ * Creates a `(req, res)` handler for `node:http` servers to inspect and purge
+ * a store. Routes are relative to `opts.prefix`:
+ *
+ * - `GET /stats`: the store statistics
+ * - `GET /entries?origin=`: the stored origins and paths, with sizes and TTLs
+ * - `GET /entry?origin=&path=&method=`: the variants stored for one key
+ * - `POST /purge`: purges by key, tag, path prefix or everything, only when
+ *   `opts.write` is true
+ *
+ * @param {import('../index.js')} store
+ * @param {{ prefix?: string, write?: boolean }} [opts]
+ * @returns {(req: import('node:http').IncomingMessage, res: import('node:http').ServerResponse) => void}
+ */
+function createAdminHandler (store, opts = {}) {
+  const handle = createRouter(store, opts)
+
+  return function adminHandler (req, res) {
+    respond(handle, req).then(({ statusCode, payload }) => {
+      const json = JSON.stringify(payload)
+      res.writeHead(statusCode, {
+        'content-type': 'application/json; charset=utf-8',
+        'content-length': Buffer.byteLength(json)
+      })
+      res.end(json)
+    }).catch(() => {
+      // The response can't be written, e.g. once its headers are sent
+      res.destroy()
+    })
+  }
+}
+
+async function respond (handle, req) {
+  let body
+  try {
+    body = await readJson(req)
+  } catch (err) {
+    return { statusCode: 400, payload: { error: err.message } }
+  }
+
+  try {
+    return await handle(req.method, req.url, body)
+  } catch (err) {
+    return { statusCode: 500, payload: { error: err.message } }
+  }
+}
+
+/**
+ * Fastify plugin registering the routes of `createAdminHandler()`, under the
+ * prefix the plugin is registered with.
+ *
+ * @param {import('fastify').FastifyInstance} fastify
+ * @param {{ store: import('../index.js'), write?: boolean }} opts
+ */
+async function fastifyAdmin (fastify, opts) {
+  const handle = createRouter(opts.store, { prefix: fastify.prefix, write: opts.write })
+  fastify.route({
+    method: ['GET', 'POST'],
+    url: '/*',
+    async handler (request, reply) {
+      const { statusCode, payload } = await handle(request.method, request.url, request.body)
+      reply.code(statusCode)
+      return payload
+    }
+  })
+}
+
+fastifyAdmin[Symbol.for('fastify.display-name')] = '@platformatic/undici-cache-memory/admin'
+
+function createRouter (store, opts) {
+  if (typeof store?.entries !== 'function') {
+    throw new TypeError('store must be a MemoryCacheStore')
+  }
+  if (opts.prefix !== undefined && typeof opts.prefix !== 'string') {
+    throw new TypeError('opts.prefix must be a string')
+  }
+  if (opts.write !== undefined && typeof opts.write !== 'boolean') {
+    throw new TypeError('opts.write must be a boolean')
+  }
+
+  const prefix = opts.prefix?.replace(/\/$/, '') ?? ''
+  const write = opts.write ?? false
+
+  const routes = {
+    '/stats': { GET: () => ({ statusCode: 200, payload: store.getStats() }) },
+    '/entries': { GET: (query) => listOrigins(store, query) },
+    '/entry': { GET: (query) => listVariants(store, query) },
+    '/purge': { POST: (query, body) => write ? purge(store, body) : forbidden() }
+  }
+
+  return async function handle (method, url, body) {
+    const { pathname, searchParams } = new URL(url, 'http://localhost')
+    const route = pathname.startsWith(prefix) ? routes[pathname.slice(prefix.length)] : undefined
+    if (route === undefined) {
+      return { statusCode: 404, payload: { error: 'Not Found' } }
+    }
+
+    const action = route[method === 'HEAD' ? 'GET' : method]
+    if (action === undefined) {
+      return { statusCode: 405, payload: { error: 'Method Not Allowed' } }
+    }
+
+    try {
+      return await action(Object.fromEntries(searchParams), body)
+    } catch (err) {
+      if (err instanceof TypeError) {
+        return { statusCode: 400, payload: { error: err.message } }
+      }
+      throw err
+    }
+  }
+}
+
+async function listOrigins (store, query) {
+  const now = Date.now()
+  const origins = new Map()
+  for await (const entry of store.entries({ origin: query.origin })) {
+    const { key } = entry
+    let origin = origins.get(key.origin)
+    if (!origin) {
+      origin = { origin: key.origin, size: 0, count: 0, paths: new Map() }
+      origins.set(key.origin, origin)
+    }
+    origin.size += entry.size
+    origin.count += 1
+
+    const route = `${key.method} ${key.path}`
+    let path = origin.paths.get(route)
+    if (!path) {
+      path = { path: key.path, method: key.method, size: 0, variants: 0, ttl: 0 }
+      origin.paths.set(route, path)
+    }
+    path.size += entry.size
+    path.variants += 1
+    // Seconds until the last variant is removed
+    path.ttl = Math.max(path.ttl, Math.max(0, Math.ceil((entry.deleteAt - now) / 1000)))
+  }
+
+  const payload = []
+  for (const origin of origins.values()) {
+    payload.push({ ...origin, paths: Array.from(origin.paths.values()) })
+  }
+  return { statusCode: 200, payload }
+}
+
+async function listVariants (store, query) {
+  if (query.origin === undefined || query.path === undefined) {
+    throw new TypeError('the origin and path query parameters are required')
+  }
+
+  const payload = []
+  const entries = store.entries({ origin: query.origin, pathPrefix: query.path, method: query.method ?? 'GET' })
+  for await (const entry of entries) {
+    if (entry.key.path !== query.path) continue
+
+    payload.push({
+      vary: entry.vary,
+      etag: entry.etag,
+      cacheTags: entry.cacheTags,
+      statusCode: entry.statusCode,
+      size: entry.size,
+      cachedAt: entry.cachedAt,
+      staleAt: entry.staleAt,
+      deleteAt: entry.deleteAt
+    })
+  }
+
+  if (payload.length === 0) {
+    return { statusCode: 404, payload: { error: 'Not Found' } }
+  }
+  return { statusCode: 200, payload }
+}
+
+// The body holds exactly one of key, tags, prefix (with origin) or all, and
+// soft to mark the entries stale rather than delete them
+function purge (store, body) {
+  if (typeof body !== 'object' || body === null) {
+    throw new TypeError('the body must be a JSON object')
+  }
+
+  const soft = body.soft
+  const before = store.getStats()
+  if (body.key !== undefined) {
+    if (typeof body.key?.origin !== 'string' || typeof body.key.path !== 'string') {
+      throw new TypeError('key.origin and key.path must be strings')
+    }
+    if (body.key.method === undefined) {
+      store.delete(body.key, { soft })
+    } else {
+      store.deleteKeys([body.key], { soft })
+    }
+  } else if (body.tags !== undefined) {
+    if (!Array.isArray(body.tags) || !body.tags.every(tag => typeof tag === 'string')) {
+      throw new TypeError('tags must be an array of strings')
+    }
+    store.deleteTags(body.tags, { origin: body.origin, soft })
+  } else if (body.prefix !== undefined) {
+    store.deletePaths({ origin: body.origin, prefix: body.prefix, method: body.method, soft })
+  } else if (body.all === true) {
+    // Every entry, the ones on disk included
+    store.deleteOlderThan(Infinity, { soft })
+  } else {
+    throw new TypeError('the body must have one of key, tags, prefix or all')
+  }
+
+  const after = store.getStats()
+  const purged = soft ? after.softPurges - before.softPurges : before.count - after.count
+  return { statusCode: 200, payload: { purged } }
+}
+
+function forbidden () {
+  return { statusCode: 403, payload: { error: 'Purging is disabled, set the write option to enable it' } }
+}
+
+async function readJson (req) {
+  if (req.method !== 'POST') return undefined
+
+  let size = 0
+  const chunks = []
+  for await (const chunk of req) {
+    size += chunk.byteLength
+    if (size > maxBodySize) {
+      throw new Error('the body is too large')
+    }
+    chunks.push(chunk)
+  }
+  if (size === 0) return undefined
+
+  try {
+    return JSON.parse(Buffer.concat(chunks).toString())
+  } catch {
+    throw new Error('the body must be valid JSON')
+  }
+}
+
+module.exports = {
+  createAdminHandler,
+  fastifyAdmin
+}
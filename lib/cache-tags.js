@@ -0,0 +1,158 @@
+'use strict'
+
+// How the values of the cache tag headers are split, as CDNs use both:
+// Cloudflare's Cache-Tag is comma-separated, while Fastly's Surrogate-Key and
+// Akamai's Edge-Cache-Tag are space-separated
+const formats = {
+  comma: (value) => value.split(','),
+  space: (value) => value.split(/\s+/)
+}
+
+// The format of the headers without a configured one, comma otherwise
+const defaultFormats = {
+  'surrogate-key': 'space',
+  'edge-cache-tag': 'space'
+}
+
+/**
+ * Parses the cache tag options of a store: the header names, their formats,
+ * the normalization and the limits on the tags of an entry. Returns
+ * undefined when no header is configured.
+ *
+ * @param {object} opts
+ * @param {string} name the name of the store, for error messages
+ * @returns {{
+ *   headers: string[],
+ *   split: (value: string, header: string) => string[],
+ *   lowercase: boolean,
+ *   maxCount: number,
+ *   maxLength: number
+ * } | undefined}
+ */
+function parseCacheTagsOptions (opts, name) {
+  let headers = opts.cacheTagsHeader
+  if (headers === undefined) return undefined
+
+  if (typeof headers === 'string') {
+    headers = [headers]
+  }
+  if (!Array.isArray(headers) || headers.length === 0 || !headers.every(header => typeof header === 'string' && header !== '')) {
+    throw new TypeError(`${name} options.cacheTagsHeader must be a header name or an array of header names`)
+  }
+
+  headers = headers.map(header => header.toLowerCase())
+
+  // One format for every header, or an object of formats by header name
+  const format = opts.cacheTagsFormat
+  let formatsByHeader
+  if (typeof format === 'object' && format !== null) {
+    formatsByHeader = new Map()
+    for (const [header, headerFormat] of Object.entries(format)) {
+      formatsByHeader.set(header.toLowerCase(), parseFormat(headerFormat, name))
+    }
+  }
+  const splitters = new Map()
+  for (const header of headers) {
+    const headerFormat = formatsByHeader ? formatsByHeader.get(header) : format
+    splitters.set(header, parseFormat(headerFormat ?? defaultFormats[header] ?? 'comma', name))
+  }
+
+  if (opts.cacheTagsLowercase !== undefined && typeof opts.cacheTagsLowercase !== 'boolean') {
+    throw new TypeError(`${name} options.cacheTagsLowercase must be a boolean`)
+  }
+
+  const limits = {}
+  for (const limit of ['cacheTagsMaxCount', 'cacheTagsMaxLength']) {
+    const value = opts[limit]
+    if (value !== undefined && (!Number.isInteger(value) || value <= 0)) {
+      throw new TypeError(`${name} options.${limit} must be a positive integer`)
+    }
+    limits[limit] = value ?? Infinity
+  }
+
+  return {
+    headers,
+    split: (value, header) => splitters.get(header)(value, header),
+    lowercase: opts.cacheTagsLowercase ?? false,
+    maxCount: limits.cacheTagsMaxCount,
+    maxLength: limits.cacheTagsMaxLength
+  }
+}
+
+function parseFormat (format, name) {
+  if (typeof format === 'function') {
+    return format
+  }
+  if (!Object.hasOwn(formats, format)) {
+    throw new TypeError(`${name} options.cacheTagsFormat must be 'comma', 'space', a function or an object of those by header name`)
+  }
+  return formats[format]
+}
+
+/**
+ * Returns the cache tags listed in the configured response headers, or an
+ * empty array when there is none or no header is configured. Tags are
+ * trimmed and deduplicated, across header lines and headers. Tags longer
+ * than maxLength are dropped, and only the first maxCount are kept.
+ */
+function parseCacheTags (headers, config) {
+  if (!config) {
+    return []
+  }
+
+  const tags = new Set()
+  for (const [header, headerValue] of Object.entries(headers)) {
+    const name = header.toLowerCase()
+    if (!config.headers.includes(name)) continue
+
+    // Repeated headers are given as an array, one value per line
+    for (const value of Array.isArray(headerValue) ? headerValue : [headerValue]) {
+      for (const tag of config.split(value.toString(), name)) {
+        addTag(tags, tag, config)
+        if (tags.size >= config.maxCount) return Array.from(tags)
+      }
+    }
+  }
+
+  return Array.from(tags)
+}
+
+/**
+ * Adds the tags given to set() to the ones parsed from its headers, with the
+ * same normalization and limits.
+ */
+function mergeCacheTags (parsed, extra, config) {
+  const maxCount = config?.maxCount ?? Infinity
+  const tags = new Set(parsed)
+  for (const tag of extra) {
+    if (tags.size >= maxCount) break
+    addTag(tags, tag, config ?? defaults)
+  }
+  return Array.from(tags)
+}
+
+const defaults = { lowercase: false, maxLength: Infinity }
+
+function addTag (tags, tag, config) {
+  if (typeof tag !== 'string') return
+
+  tag = tag.trim()
+  if (tag === '' || tag.length > config.maxLength) return
+
+  tags.add(config.lowercase ? tag.toLowerCase() : tag)
+}
+
+/**
+ * Normalizes the tags given to deleteTags() as the stored tags are.
+ */
+function normalizeCacheTags (tags, config) {
+  if (!config?.lowercase) return tags
+  return Array.from(tags, tag => typeof tag === 'string' ? tag.toLowerCase() : tag)
+}
+
+module.exports = {
+  parseCacheTagsOptions,
+  parseCacheTags,
+  mergeCacheTags,
+  normalizeCacheTags
+}
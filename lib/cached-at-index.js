@@ -0,0 +1,60 @@
+'use strict'
+
+const lowerBound = require('./lower-bound.js')
+
+/**
+ * The cached entries of every origin sorted by cachedAt, to find the ones
+ * cached in a time window. Entries are mostly cached in order, so adding one
+ * is usually an append.
+ */
+class CachedAtIndex {
+  #origins = new Map()
+
+  add (entry) {
+    let entries = this.#origins.get(entry.origin)
+    if (!entries) {
+      entries = []
+      this.#origins.set(entry.origin, entries)
+    }
+
+    // After the entries cached at the same time
+    entries.splice(lowerBound(entries, entry.cachedAt + 1, getCachedAt), 0, entry)
+  }
+
+  delete (entry) {
+    const entries = this.#origins.get(entry.origin)
+    if (!entries) return
+
+    for (let i = lowerBound(entries, entry.cachedAt, getCachedAt); i < entries.length && entries[i].cachedAt === entry.cachedAt; i++) {
+      if (entries[i] === entry) {
+        entries.splice(i, 1)
+        break
+      }
+    }
+    if (entries.length === 0) {
+      this.#origins.delete(entry.origin)
+    }
+  }
+
+  /**
+   * Returns the entries cached from `from` included to `to` excluded, of one
+   * origin or of all of them.
+   */
+  between (origin, from, to) {
+    const origins = origin === undefined ? [...this.#origins.values()] : [this.#origins.get(origin) ?? []]
+
+    const matches = []
+    for (const entries of origins) {
+      for (let i = lowerBound(entries, from, getCachedAt); i < entries.length && entries[i].cachedAt < to; i++) {
+        matches.push(entries[i])
+      }
+    }
+    return matches
+  }
+}
+
+function getCachedAt (entry) {
+  return entry.cachedAt
+}
+
+module.exports = CachedAtIndex
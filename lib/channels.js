@@ -0,0 +1,15 @@
+'use strict'
+
+const diagnosticsChannel = require('node:diagnostics_channel')
+
+// Named like undici's own channels, e.g. undici:request:create
+const channels = {
+  lookupStart: diagnosticsChannel.channel('undici-cache-memory:lookup:start'),
+  lookupEnd: diagnosticsChannel.channel('undici-cache-memory:lookup:end'),
+  writeStart: diagnosticsChannel.channel('undici-cache-memory:write:start'),
+  writeCommit: diagnosticsChannel.channel('undici-cache-memory:write:commit'),
+  writeAbort: diagnosticsChannel.channel('undici-cache-memory:write:abort'),
+  invalidate: diagnosticsChannel.channel('undici-cache-memory:invalidate')
+}
+
+module.exports = channels
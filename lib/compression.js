@@ -0,0 +1,87 @@
+'use strict'
+
+const zlib = require('node:zlib')
+
+// The default quality of 11 is meant for static assets, and too slow to
+// compress responses as they are cached
+const brotliParams = {
+  [zlib.constants.BROTLI_PARAM_QUALITY]: 5
+}
+
+const algorithms = {
+  gzip: {
+    createCompressor: () => zlib.createGzip(),
+    createDecompressor: (opts) => zlib.createGunzip(opts),
+    compress: (buffer) => zlib.gzipSync(buffer),
+    decompress: (buffer) => zlib.gunzipSync(buffer)
+  },
+  brotli: {
+    createCompressor: () => zlib.createBrotliCompress({ params: brotliParams }),
+    createDecompressor: (opts) => zlib.createBrotliDecompress(opts),
+    compress: (buffer) => zlib.brotliCompressSync(buffer, { params: brotliParams }),
+    decompress: (buffer) => zlib.brotliDecompressSync(buffer)
+  },
+  zstd: {
+    createCompressor: () => zlib.createZstdCompress(),
+    createDecompressor: (opts) => zlib.createZstdDecompress(opts),
+    compress: (buffer) => zlib.zstdCompressSync(buffer),
+    decompress: (buffer) => zlib.zstdDecompressSync(buffer)
+  }
+}
+
+/**
+ * Parses the compress option, either an algorithm name or an object with the
+ * algorithm and the minimum size of the bodies to compress.
+ *
+ * @param {string | { algorithm: string, minSize?: number } | undefined} compress
+ * @returns {{ algorithm: string, minSize: number } | undefined}
+ */
+function parseCompressOption (compress) {
+  if (compress === undefined || compress === false) return undefined
+
+  const opts = typeof compress === 'string' ? { algorithm: compress } : compress
+  if (typeof opts !== 'object' || opts === null) {
+    throw new TypeError('MemoryCacheStore options.compress must be a string or an object')
+  }
+
+  if (!Object.hasOwn(algorithms, opts.algorithm)) {
+    throw new TypeError('MemoryCacheStore options.compress.algorithm must be one of \'gzip\', \'brotli\' or \'zstd\'')
+  }
+  if (opts.algorithm === 'zstd' && typeof zlib.zstdCompressSync !== 'function') {
+    throw new TypeError('MemoryCacheStore options.compress.algorithm \'zstd\' is not supported by this version of Node.js')
+  }
+
+  let minSize = 1024
+  if (opts.minSize !== undefined) {
+    if (typeof opts.minSize !== 'number' || !Number.isInteger(opts.minSize) || opts.minSize < 0) {
+      throw new TypeError('MemoryCacheStore options.compress.minSize must be a non-negative integer')
+    }
+    minSize = opts.minSize
+  }
+
+  return { algorithm: opts.algorithm, minSize }
+}
+
+function createCompressor (algorithm) {
+  return algorithms[algorithm].createCompressor()
+}
+
+function createDecompressor (algorithm, highWaterMark) {
+  return algorithms[algorithm].createDecompressor({ highWaterMark })
+}
+
+function compressBody (algorithm, body) {
+  return [algorithms[algorithm].compress(Buffer.concat(body))]
+}
+
+function decompressBody (algorithm, body) {
+  return [algorithms[algorithm].decompress(Buffer.concat(body))]
+}
+
+module.exports = {
+  parseCompressOption,
+  createCompressor,
+  createDecompressor,
+  compressBody,
+  decompressBody
+}
@@ -0,0 +1,213 @@
+'use strict'
+
+const { mkdir, mkdtemp, readFile, rm, unlink, writeFile } = require('node:fs/promises')
+const { join } = require('node:path')
+
+/**
+ * Second tier for the entries evicted from memory. Each entry is one file,
+ * made of a JSON line with its metadata followed by the raw body. The index of
+ * the files is only kept in memory, so the files live in a directory of their
+ * own, created on the first write and removed by close().
+ */
+class DiskTier {
+  #path
+  #maxSize
+  #onError
+  #dir = undefined
+  #size = 0
+  #nextId = 0
+  // Route -> records, to find the variants of a key
+  #routes = new Map()
+  // Records from the oldest to the most recently demoted
+  #records = new Set()
+  #pending = new Set()
+
+  constructor ({ path, maxSize, onError }) {
+    this.#path = path
+    this.#maxSize = maxSize
+    this.#onError = onError
+  }
+
+  get size () {
+    return this.#size
+  }
+
+  get count () {
+    return this.#records.size
+  }
+
+  put (entry) {
+    if (entry.size > this.#maxSize) return
+
+    const record = {
+      id: this.#nextId++,
+      origin: entry.origin,
+      path: entry.path,
+      method: entry.method,
+      vary: entry.vary,
+      cachedAt: entry.cachedAt,
+      staleAt: entry.staleAt,
+      deleteAt: entry.deleteAt,
+      cacheTags: entry.cacheTags,
+      size: entry.size,
+      file: undefined,
+      written: undefined,
+      taken: undefined
+    }
+    this.deleteVariant(entry)
+    record.written = this.#track(this.#write(record, entry).catch((err) => {
+      this.#delete(record)
+      this.#onError(err)
+    }))
+
+    const routeKey = getRouteKey(record)
+    let records = this.#routes.get(routeKey)
+    if (!records) {
+      records = []
+      this.#routes.set(routeKey, records)
+    }
+    records.push(record)
+    this.#records.add(record)
+    this.#size += record.size
+
+    for (const oldest of this.#records) {
+      if (this.#size <= this.#maxSize) break
+      this.#delete(oldest)
+    }
+  }
+
+  /**
+   * Removes the variant of key that matches its headers from the tier and
+   * resolves to the entry, or to undefined if there is none.
+   */
+  take (key, findEntry) {
+    const records = this.#routes.get(getRouteKey(key))
+    if (!records) return Promise.resolve(undefined)
+
+    const record = findEntry(key, records, Date.now())
+    if (!record) return Promise.resolve(undefined)
+
+    // Concurrent lookups share the same read
+    record.taken ??= this.#track(this.#read(record))
+    return record.taken
+  }
+
+  /**
+   * Removes the record of the same route and vary as entry, which is
+   * outdated once entry is stored again.
+   */
+  deleteVariant (entry) {
+    const records = this.#routes.get(getRouteKey(entry))
+    const vary = JSON.stringify(entry.vary)
+    const record = records?.find(record => JSON.stringify(record.vary) === vary)
+    if (record) {
+      this.#delete(record)
+    }
+  }
+
+  /**
+   * Removes the records matching predicate and returns them.
+   */
+  deleteWhere (predicate) {
+    const deleted = []
+    for (const record of this.#records) {
+      if (predicate(record)) {
+        this.#delete(record)
+        deleted.push(record)
+      }
+    }
+    return deleted
+  }
+
+  /**
+   * Moves the staleAt of the records matching predicate back to staleAt, if
+   * it is later, and returns them.
+   */
+  markStale (predicate, staleAt) {
+    const marked = []
+    for (const record of this.#records) {
+      if (predicate(record)) {
+        record.staleAt = Math.min(record.staleAt, staleAt)
+        marked.push(record)
+      }
+    }
+    return marked
+  }
+
+  async close () {
+    await Promise.allSettled([...this.#pending])
+    this.#records.clear()
+    this.#routes.clear()
+    this.#size = 0
+
+    const dir = await this.#dir?.catch(() => undefined)
+    this.#dir = undefined
+    if (dir) {
+      await rm(dir, { recursive: true, force: true })
+    }
+  }
+
+  async #write (record, entry) {
+    const { body, size, ...metadata } = entry
+    this.#dir ??= mkdir(this.#path, { recursive: true })
+      .then(() => mkdtemp(join(this.#path, 'undici-cache-memory-')))
+
+    const file = join(await this.#dir, `${record.id}.entry`)
+    await writeFile(file, Buffer.concat([Buffer.from(JSON.stringify(metadata) + '\n'), ...body]))
+    record.file = file
+
+    // Deleted while being written
+    if (!this.#records.has(record)) {
+      await unlink(file).catch(() => {})
+    }
+  }
+
+  async #read (record) {
+    try {
+      await record.written
+      // Invalidated, or failed to be written
+      if (!this.#records.has(record)) return undefined
+
+      const data = await readFile(record.file)
+      if (!this.#records.has(record)) return undefined
+
+      const newline = data.indexOf(10)
+      const metadata = JSON.parse(data.subarray(0, newline).toString())
+      const body = data.byteLength > newline + 1 ? [data.subarray(newline + 1)] : []
+      // Marked stale since it was written
+      return { ...metadata, staleAt: record.staleAt, body, size: record.size }
+    } catch (err) {
+      this.#onError(err)
+      return undefined
+    } finally {
+      this.#delete(record)
+    }
+  }
+
+  #delete (record) {
+    if (!this.#records.delete(record)) return
+
+    const routeKey = getRouteKey(record)
+    const records = this.#routes.get(routeKey)
+    records.splice(records.indexOf(record), 1)
+    if (records.length === 0) {
+      this.#routes.delete(routeKey)
+    }
+    this.#size -= record.size
+
+    this.#track(record.written.then(() => record.file && unlink(record.file)).catch(() => {}))
+  }
+
+  #track (promise) {
+    this.#pending.add(promise)
+    promise.finally(() => this.#pending.delete(promise)).catch(() => {})
+    return promise
+  }
+}
+
+function getRouteKey (key) {
+  return `${key.origin}\n${key.path}\n${key.method}`
+}
+
+module.exports = DiskTier
+module.exports.getRouteKey = getRouteKey
@@ -0,0 +1,44 @@
+'use strict'
+
+/**
+ * Returns the first entry that is not expired and whose vary headers match
+ * the headers of key.
+ */
+function findEntry (key, entries, now) {
+  for (let entryIndex = 0; entryIndex < entries.length; entryIndex++) {
+    const entry = entries[entryIndex]
+    if (entry.deleteAt <= now) {
+      continue
+    }
+
+    if (entry.vary == null) {
+      return entry
+    }
+
+    const varyHeaders = Object.keys(entry.vary)
+    let matches = true
+    for (let headerIndex = 0; headerIndex < varyHeaders.length; headerIndex++) {
+      const headerName = varyHeaders[headerIndex]
+      const expected = entry.vary[headerName]
+      const actual = key.headers?.[headerName]
+
+      if (expected === null) {
+        if (actual !== undefined) {
+          matches = false
+          break
+        }
+      } else if (expected !== actual) {
+        matches = false
+        break
+      }
+    }
+
+    if (matches) {
+      return entry
+    }
+  }
+
+  return undefined
+}
+
+module.exports = findEntry
@@ -0,0 +1,27 @@
+'use strict'
+
+/**
+ * Returns the index of the first item of the sorted array whose key is not
+ * less than value, which is where value would be inserted.
+ *
+ * @template T
+ * @param {T[]} array
+ * @param {*} value
+ * @param {(item: T) => *} [getKey]
+ * @returns {number}
+ */
+function lowerBound (array, value, getKey = item => item) {
+  let low = 0
+  let high = array.length
+  while (low < high) {
+    const middle = (low + high) >>> 1
+    if (getKey(array[middle]) < value) {
+      low = middle + 1
+    } else {
+      high = middle
+    }
+  }
+  return low
+}
+
+module.exports = lowerBound
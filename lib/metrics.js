@@ -0,0 +1,130 @@
+'use strict'
+
+// Counters and gauges built from getStats(), all labelled by origin
+const metrics = [
+  { name: 'hits', stat: 'hits', type: 'counter', help: 'Cache lookups that returned an entry, stale ones included' },
+  { name: 'stale_hits', stat: 'staleHits', type: 'counter', help: 'Cache lookups that returned a stale entry' },
+  { name: 'misses', stat: 'misses', type: 'counter', help: 'Cache lookups that found no entry' },
+  { name: 'writes', stat: 'writes', type: 'counter', help: 'Entries stored' },
+  { name: 'rejected_writes', stat: 'rejectedWrites', type: 'counter', help: 'Entries not stored because of the size or count limits' },
+  { name: 'evictions', stat: 'evictionsByReason', type: 'counter', help: 'Entries evicted to make room, by reason' },
+  { name: 'expirations', stat: 'expirations', type: 'counter', help: 'Expired entries removed by the sweeper' },
+  { name: 'deletions', stat: 'deletions', type: 'counter', help: 'Entries removed by an invalidation or a replacement' },
+  { name: 'soft_purges', stat: 'softPurges', type: 'counter', help: 'Entries marked stale by a soft purge' },
+  { name: 'demotions', stat: 'demotions', type: 'counter', help: 'Evicted entries moved to disk' },
+  { name: 'promotions', stat: 'promotions', type: 'counter', help: 'Entries moved back from disk' },
+  { name: 'size_bytes', stat: 'size', type: 'gauge', help: 'Bytes currently stored' },
+  { name: 'entries', stat: 'count', type: 'gauge', help: 'Entries currently stored' }
+]
+
+/**
+ * Renders the store statistics in the Prometheus text exposition format.
+ *
+ * @param {import('../index.js')} store
+ * @param {{ prefix?: string }} [opts]
+ * @returns {string}
+ */
+function prometheusMetrics (store, opts = {}) {
+  const prefix = opts.prefix ?? 'undici_cache_memory_'
+  const { origins } = store.getStats()
+
+  let text = ''
+  for (const metric of metrics) {
+    const name = metric.type === 'counter'
+      ? `${prefix}${metric.name}_total`
+      : `${prefix}${metric.name}`
+
+    text += `# HELP ${name} ${metric.help}\n`
+    text += `# TYPE ${name} ${metric.type}\n`
+    for (const [origin, stats] of Object.entries(origins)) {
+      for (const { value, labels } of observations(metric, origin, stats)) {
+        text += `${name}{${formatLabels(labels)}} ${value}\n`
+      }
+    }
+  }
+
+  return text
+}
+
+/**
+ * Registers observable instruments reporting the store statistics on an
+ * OpenTelemetry `Meter`. Call `close()` on the result to stop reporting.
+ *
+ * @param {import('../index.js')} store
+ * @param {import('@opentelemetry/api').Meter} meter
+ * @param {{ prefix?: string }} [opts]
+ * @returns {{ close: () => void }}
+ */
+function registerOpenTelemetryMetrics (store, meter, opts = {}) {
+  if (
+    typeof meter !== 'object' ||
+    meter === null ||
+    typeof meter.createObservableCounter !== 'function' ||
+    typeof meter.createObservableGauge !== 'function'
+  ) {
+    throw new TypeError('meter must be an OpenTelemetry Meter')
+  }
+
+  const prefix = opts.prefix ?? 'undici_cache_memory.'
+  const registrations = []
+
+  for (const metric of metrics) {
+    const options = {
+      description: metric.help,
+      unit: metric.name === 'size_bytes' ? 'By' : '1'
+    }
+    const instrument = metric.type === 'counter'
+      ? meter.createObservableCounter(`${prefix}${metric.name}`, options)
+      : meter.createObservableGauge(`${prefix}${metric.name}`, options)
+
+    const callback = (result) => {
+      const { origins } = store.getStats()
+      for (const [origin, stats] of Object.entries(origins)) {
+        for (const { value, labels } of observations(metric, origin, stats)) {
+          result.observe(value, labels)
+        }
+      }
+    }
+
+    instrument.addCallback(callback)
+    registrations.push({ instrument, callback })
+  }
+
+  return {
+    close () {
+      for (const { instrument, callback } of registrations) {
+        instrument.removeCallback(callback)
+      }
+      registrations.length = 0
+    }
+  }
+}
+
+function observations (metric, origin, stats) {
+  if (metric.stat !== 'evictionsByReason') {
+    return [{ value: stats[metric.stat], labels: { origin } }]
+  }
+
+  return Object.entries(stats.evictionsByReason).map(([reason, value]) => ({
+    value,
+    labels: { origin, reason }
+  }))
+}
+
+function formatLabels (labels) {
+  return Object.entries(labels)
+    .map(([name, value]) => `${name}="${escapeLabelValue(value)}"`)
+    .join(',')
+}
+
+function escapeLabelValue (value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/\n/g, '\\n')
+    .replace(/"/g, '\\"')
+}
+
+module.exports = {
+  prometheusMetrics,
+  registerOpenTelemetryMetrics
+}
@@ -0,0 +1,82 @@
+'use strict'
+
+const lowerBound = require('./lower-bound.js')
+
+/**
+ * Sorted list of the cached paths of every origin, so that the paths under a
+ * prefix can be found with a binary search instead of scanning every entry.
+ */
+class PathIndex {
+  #origins = new Map()
+
+  add (origin, path) {
+    let paths = this.#origins.get(origin)
+    if (!paths) {
+      paths = []
+      this.#origins.set(origin, paths)
+    }
+
+    const index = lowerBound(paths, path)
+    if (paths[index] !== path) {
+      paths.splice(index, 0, path)
+    }
+  }
+
+  delete (origin, path) {
+    const paths = this.#origins.get(origin)
+    if (!paths) return
+
+    const index = lowerBound(paths, path)
+    if (paths[index] !== path) return
+
+    paths.splice(index, 1)
+    if (paths.length === 0) {
+      this.#origins.delete(origin)
+    }
+  }
+
+  withPrefix (origin, prefix) {
+    const paths = this.#origins.get(origin)
+    if (!paths) return []
+
+    const matches = []
+    for (let i = lowerBound(paths, prefix); i < paths.length && paths[i].startsWith(prefix); i++) {
+      matches.push(paths[i])
+    }
+    return matches
+  }
+}
+
+/**
+ * Compiles a glob where `**` matches any characters, `*` any characters but
+ * `/` and `?` a single character but `/`. Also returns the literal prefix
+ * before the first wildcard, to narrow the paths to test.
+ */
+function compileGlob (glob) {
+  let source = '^'
+  let prefix
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i]
+    if (char === '*' || char === '?') {
+      prefix ??= glob.slice(0, i)
+    }
+
+    if (char === '*' && glob[i + 1] === '*') {
+      source += '.*'
+      i++
+    } else if (char === '*') {
+      source += '[^/]*'
+    } else if (char === '?') {
+      source += '[^/]'
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    }
+  }
+
+  return { regexp: new RegExp(source + '$'), prefix: prefix ?? glob }
+}
+
+module.exports = {
+  PathIndex,
+  compileGlob
+}
@@ -0,0 +1,486 @@
+'use strict'
+
+/**
+ * Eviction policies for MemoryCacheStore.
+ *
+ * A policy tracks the entries held by one store and decides which of them to
+ * evict when a write needs room under the store limits. It receives these
+ * hooks:
+ *
+ * - `onInsert(entry)`: called from `#saveEntry` once the entry is stored
+ * - `onAccess(entry)`: called from `get()` when the entry is returned
+ * - `onDelete(entry)`: called from `#deleteEntry` whenever the entry is
+ *   removed, whatever the reason (eviction, invalidation or replacement)
+ * - `evict(origin)`: returns the next entry to remove, or `undefined` if there
+ *   is nothing left to evict. The store removes the entry itself, which in
+ *   turn calls `onDelete(entry)`. When `origin` is given (an origin is over
+ *   its `originLimits`), the returned entry must belong to that origin.
+ *
+ * While `getStream()` streams an entry's body, the entry is pinned: it is
+ * removed from the policy with `onDelete(entry)`, so it can't be evicted, and
+ * inserted again with `onInsert(entry)` once its last stream is done.
+ *
+ * Entries are the store's internal objects and must be treated as read-only.
+ * The fields a policy can rely on are `origin`, `path`, `method`, `vary` and
+ * `size`. A policy instance must not be shared between stores.
+ */
+
+class LRUPolicy {
+  // Entries ordered from least to most recently used, globally and per origin
+  #entries = new Set()
+  #origins = new Map()
+
+  onInsert (entry) {
+    this.#entries.add(entry)
+
+    let originEntries = this.#origins.get(entry.origin)
+    if (!originEntries) {
+      originEntries = new Set()
+      this.#origins.set(entry.origin, originEntries)
+    }
+    originEntries.add(entry)
+  }
+
+  onAccess (entry) {
+    if (this.#entries.delete(entry)) {
+      this.#entries.add(entry)
+
+      const originEntries = this.#origins.get(entry.origin)
+      originEntries.delete(entry)
+      originEntries.add(entry)
+    }
+  }
+
+  onDelete (entry) {
+    if (!this.#entries.delete(entry)) return
+
+    const originEntries = this.#origins.get(entry.origin)
+    originEntries.delete(entry)
+    if (originEntries.size === 0) {
+      this.#origins.delete(entry.origin)
+    }
+  }
+
+  evict (origin) {
+    if (origin !== undefined) {
+      return first(this.#origins.get(origin) ?? [])
+    }
+    return first(this.#entries)
+  }
+}
+
+class LFUPolicy {
+  #frequencies = new Map()
+  // Frequency -> entries with that frequency, least recently used first
+  #buckets = new Map()
+  #minFrequency = 0
+
+  onInsert (entry) {
+    this.#frequencies.set(entry, 1)
+    this.#addToBucket(entry, 1)
+    this.#minFrequency = 1
+  }
+
+  onAccess (entry) {
+    const frequency = this.#frequencies.get(entry)
+    if (frequency === undefined) return
+
+    this.#removeFromBucket(entry, frequency)
+    if (this.#minFrequency === frequency && !this.#buckets.has(frequency)) {
+      this.#minFrequency = frequency + 1
+    }
+
+    this.#frequencies.set(entry, frequency + 1)
+    this.#addToBucket(entry, frequency + 1)
+  }
+
+  onDelete (entry) {
+    const frequency = this.#frequencies.get(entry)
+    if (frequency === undefined) return
+
+    this.#frequencies.delete(entry)
+    this.#removeFromBucket(entry, frequency)
+  }
+
+  evict (origin) {
+    if (this.#frequencies.size === 0) return undefined
+
+    if (!this.#buckets.has(this.#minFrequency)) {
+      this.#minFrequency = Math.min(...this.#buckets.keys())
+    }
+
+    if (origin === undefined) {
+      return first(this.#buckets.get(this.#minFrequency))
+    }
+
+    const frequencies = [...this.#buckets.keys()].sort((a, b) => a - b)
+    for (const frequency of frequencies) {
+      const entry = first(this.#buckets.get(frequency), origin)
+      if (entry !== undefined) return entry
+    }
+    return undefined
+  }
+
+  #addToBucket (entry, frequency) {
+    let bucket = this.#buckets.get(frequency)
+    if (!bucket) {
+      bucket = new Set()
+      this.#buckets.set(frequency, bucket)
+    }
+    bucket.add(entry)
+  }
+
+  #removeFromBucket (entry, frequency) {
+    const bucket = this.#buckets.get(frequency)
+    bucket.delete(entry)
+    if (bucket.size === 0) {
+      this.#buckets.delete(frequency)
+    }
+  }
+}
+
+/**
+ * W-TinyLFU: new entries land in a small LRU window, the rest of the cache is
+ * a segmented LRU (probation and protected). When room is needed, the
+ * window's least recently used entry has to beat the main cache's victim on
+ * estimated frequency to be admitted, otherwise it is the one evicted.
+ * Frequencies are tracked per cache key, so they survive an entry being
+ * replaced or evicted and written again.
+ */
+class WTinyLFUPolicy {
+  #windowRatio
+  #protectedRatio
+  #sketch
+
+  #window = new Set()
+  #probation = new Set()
+  #protected = new Set()
+
+  constructor (opts = {}) {
+    this.#windowRatio = opts.windowRatio ?? 0.01
+    this.#protectedRatio = opts.protectedRatio ?? 0.8
+    this.#sketch = new FrequencySketch(opts.sketchWidth ?? 1024)
+
+    if (typeof this.#windowRatio !== 'number' || this.#windowRatio < 0 || this.#windowRatio > 1) {
+      throw new TypeError('WTinyLFUPolicy options.windowRatio must be a number between 0 and 1')
+    }
+    if (typeof this.#protectedRatio !== 'number' || this.#protectedRatio < 0 || this.#protectedRatio > 1) {
+      throw new TypeError('WTinyLFUPolicy options.protectedRatio must be a number between 0 and 1')
+    }
+  }
+
+  onInsert (entry) {
+    this.#sketch.increment(frequencyKey(entry))
+    this.#window.add(entry)
+
+    const total = this.#window.size + this.#probation.size + this.#protected.size
+    const windowMax = Math.max(1, Math.floor(total * this.#windowRatio))
+    while (this.#window.size > windowMax) {
+      const overflow = first(this.#window)
+      this.#window.delete(overflow)
+      this.#probation.add(overflow)
+    }
+  }
+
+  onAccess (entry) {
+    this.#sketch.increment(frequencyKey(entry))
+
+    if (this.#window.delete(entry)) {
+      this.#window.add(entry)
+    } else if (this.#probation.delete(entry)) {
+      this.#protected.add(entry)
+      this.#demoteProtected()
+    } else if (this.#protected.delete(entry)) {
+      this.#protected.add(entry)
+    }
+  }
+
+  onDelete (entry) {
+    this.#window.delete(entry) ||
+      this.#probation.delete(entry) ||
+      this.#protected.delete(entry)
+  }
+
+  evict (origin) {
+    const candidate = first(this.#window, origin)
+    const victim = first(this.#probation, origin) ?? first(this.#protected, origin)
+    if (candidate === undefined) return victim
+    if (victim === undefined) return candidate
+
+    const candidateFrequency = this.#sketch.estimate(frequencyKey(candidate))
+    const victimFrequency = this.#sketch.estimate(frequencyKey(victim))
+    if (candidateFrequency > victimFrequency) {
+      this.#window.delete(candidate)
+      this.#probation.add(candidate)
+      return victim
+    }
+
+    return candidate
+  }
+
+  #demoteProtected () {
+    const mainSize = this.#probation.size + this.#protected.size
+    while (this.#protected.size > Math.max(1, Math.floor(mainSize * this.#protectedRatio))) {
+      const entry = first(this.#protected)
+      this.#protected.delete(entry)
+      this.#probation.add(entry)
+    }
+  }
+}
+
+/**
+ * GreedyDual-Size-Frequency: every entry gets a priority of
+ * `clock + frequency * cost / size` and the lowest priority is evicted first,
+ * moving the clock up to it. Small, often read entries stay, large ones that
+ * are rarely read go first. `cost` defaults to 1 for every entry.
+ */
+class GDSFPolicy {
+  #cost
+  #clock = 0
+  #frequencies = new Map()
+  #heap = new PriorityHeap()
+
+  constructor (opts = {}) {
+    this.#cost = opts.cost ?? (() => 1)
+
+    if (typeof this.#cost !== 'function') {
+      throw new TypeError('GDSFPolicy options.cost must be a function')
+    }
+  }
+
+  onInsert (entry) {
+    this.#frequencies.set(entry, 1)
+    this.#heap.set(entry, this.#priority(entry, 1))
+  }
+
+  onAccess (entry) {
+    const frequency = this.#frequencies.get(entry)
+    if (frequency === undefined) return
+
+    this.#frequencies.set(entry, frequency + 1)
+    this.#heap.set(entry, this.#priority(entry, frequency + 1))
+  }
+
+  onDelete (entry) {
+    this.#frequencies.delete(entry)
+    this.#heap.delete(entry)
+  }
+
+  evict (origin) {
+    const victim = origin === undefined
+      ? this.#heap.peek()
+      : this.#heap.find(entry => entry.origin === origin)
+    if (victim !== undefined) {
+      this.#clock = this.#heap.priorityOf(victim)
+    }
+    return victim
+  }
+
+  #priority (entry, frequency) {
+    return this.#clock + frequency * this.#cost(entry) / Math.max(1, entry.size)
+  }
+}
+
+const policies = {
+  lru: LRUPolicy,
+  lfu: LFUPolicy,
+  'w-tinylfu': WTinyLFUPolicy,
+  gdsf: GDSFPolicy
+}
+
+function createPolicy (policy) {
+  if (policy === undefined) {
+    return new LRUPolicy()
+  }
+
+  if (typeof policy === 'string') {
+    const Policy = policies[policy.toLowerCase()]
+    if (!Policy) {
+      throw new TypeError(`MemoryCacheStore options.policy must be one of ${Object.keys(policies).join(', ')} or a policy object`)
+    }
+    return new Policy()
+  }
+
+  if (
+    typeof policy !== 'object' ||
+    policy === null ||
+    typeof policy.onInsert !== 'function' ||
+    typeof policy.onAccess !== 'function' ||
+    typeof policy.onDelete !== 'function' ||
+    typeof policy.evict !== 'function'
+  ) {
+    throw new TypeError('MemoryCacheStore options.policy must implement onInsert, onAccess, onDelete and evict')
+  }
+
+  return policy
+}
+
+/**
+ * Count-min sketch with 4 rows of small counters. Every counter is halved
+ * once the number of increments reaches ten times the width, so that old
+ * popularity fades away.
+ */
+class FrequencySketch {
+  #width
+  #rows
+  #additions = 0
+
+  constructor (width) {
+    this.#width = width
+    this.#rows = [
+      new Uint8Array(width),
+      new Uint8Array(width),
+      new Uint8Array(width),
+      new Uint8Array(width)
+    ]
+  }
+
+  increment (key) {
+    for (let row = 0; row < this.#rows.length; row++) {
+      const index = hash(key, row) % this.#width
+      if (this.#rows[row][index] < 255) {
+        this.#rows[row][index]++
+      }
+    }
+
+    if (++this.#additions >= this.#width * 10) {
+      this.#reset()
+    }
+  }
+
+  estimate (key) {
+    let min = Infinity
+    for (let row = 0; row < this.#rows.length; row++) {
+      min = Math.min(min, this.#rows[row][hash(key, row) % this.#width])
+    }
+    return min
+  }
+
+  #reset () {
+    for (const row of this.#rows) {
+      for (let i = 0; i < row.length; i++) {
+        row[i] >>= 1
+      }
+    }
+    this.#additions = 0
+  }
+}
+
+/**
+ * Binary min-heap of entries keyed by priority, with the position of every
+ * entry tracked so that it can be updated or removed in O(log n).
+ */
+class PriorityHeap {
+  #items = []
+  #positions = new Map()
+
+  peek () {
+    return this.#items[0]?.entry
+  }
+
+  // Lowest priority entry matching the predicate, in O(n)
+  find (predicate) {
+    let found
+    for (const item of this.#items) {
+      if (predicate(item.entry) && (found === undefined || item.priority < found.priority)) {
+        found = item
+      }
+    }
+    return found?.entry
+  }
+
+  priorityOf (entry) {
+    return this.#items[this.#positions.get(entry)].priority
+  }
+
+  set (entry, priority) {
+    let index = this.#positions.get(entry)
+    if (index === undefined) {
+      index = this.#items.length
+      this.#items.push({ entry, priority })
+      this.#positions.set(entry, index)
+    } else {
+      this.#items[index].priority = priority
+    }
+    this.#siftDown(this.#siftUp(index))
+  }
+
+  delete (entry) {
+    const index = this.#positions.get(entry)
+    if (index === undefined) return
+
+    this.#positions.delete(entry)
+    const last = this.#items.pop()
+    if (index === this.#items.length) return
+
+    this.#items[index] = last
+    this.#positions.set(last.entry, index)
+    this.#siftDown(this.#siftUp(index))
+  }
+
+  #siftUp (index) {
+    while (index > 0) {
+      const parent = (index - 1) >> 1
+      if (this.#items[parent].priority <= this.#items[index].priority) break
+      this.#swap(index, parent)
+      index = parent
+    }
+    return index
+  }
+
+  #siftDown (index) {
+    const length = this.#items.length
+    while (true) {
+      const left = 2 * index + 1
+      const right = left + 1
+      let smallest = index
+
+      if (left < length && this.#items[left].priority < this.#items[smallest].priority) {
+        smallest = left
+      }
+      if (right < length && this.#items[right].priority < this.#items[smallest].priority) {
+        smallest = right
+      }
+      if (smallest === index) return index
+
+      this.#swap(index, smallest)
+      index = smallest
+    }
+  }
+
+  #swap (a, b) {
+    const items = this.#items
+    ;[items[a], items[b]] = [items[b], items[a]]
+    this.#positions.set(items[a].entry, a)
+    this.#positions.set(items[b].entry, b)
+  }
+}
+
+function first (entries, origin) {
+  for (const entry of entries) {
+    if (origin === undefined || entry.origin === origin) return entry
+  }
+  return undefined
+}
+
+function frequencyKey (entry) {
+  return `${entry.origin}\n${entry.path}\n${entry.method}\n${JSON.stringify(entry.vary ?? null)}`
+}
+
+// FNV-1a, seeded per sketch row
+function hash (string, seed) {
+  let h = (0x811c9dc5 ^ Math.imul(seed + 1, 0x9e3779b1)) >>> 0
+  for (let i = 0; i < string.length; i++) {
+    h ^= string.charCodeAt(i)
+    h = Math.imul(h, 0x01000193)
+  }
+  return h >>> 0
+}
+
+module.exports = {
+  createPolicy,
+  LRUPolicy,
+  LFUPolicy,
+  WTinyLFUPolicy,
+  GDSFPolicy
+}
@@ -0,0 +1,135 @@
+'use strict'
+
+/**
+ * Validates the range option of get(): a Range header value such as
+ * `bytes=0-1023`, or the first and last byte positions, both included.
+ */
+function validateRange (range) {
+  if (typeof range === 'string') return
+
+  if (
+    typeof range !== 'object' ||
+    range === null ||
+    !Number.isInteger(range.start) ||
+    range.start < 0 ||
+    (range.end !== undefined && (!Number.isInteger(range.end) || range.end < range.start))
+  ) {
+    throw new TypeError('opts.range must be a Range header value or an object with integer start and end')
+  }
+}
+
+/**
+ * Resolves a range against a body of size bytes. Returns the first and last
+ * byte positions, null when the range can't be satisfied, or undefined when
+ * it should be ignored and the whole body sent: ranges that are not in bytes,
+ * malformed or made of several ranges.
+ *
+ * @param {string | { start: number, end?: number }} range
+ * @param {number} size
+ * @returns {{ start: number, end: number } | null | undefined}
+ */
+function resolveRange (range, size) {
+  let start
+  let end
+  if (typeof range === 'string') {
+    const match = /^bytes=\s*(\d*)-(\d*)\s*$/.exec(range)
+    if (!match || (match[1] === '' && match[2] === '')) return undefined
+
+    if (match[1] === '') {
+      // Suffix range, the last bytes of the body
+      const length = Number(match[2])
+      if (length === 0) return null
+      start = Math.max(size - length, 0)
+      end = size - 1
+    } else {
+      start = Number(match[1])
+      end = match[2] === '' ? Infinity : Number(match[2])
+      if (end < start) return undefined
+    }
+  } else {
+    start = range.start
+    end = range.end ?? Infinity
+  }
+
+  if (start >= size) return null
+  return { start, end: Math.min(end, size - 1) }
+}
+
+/**
+ * Returns the chunks holding the bytes from start to end, both included,
+ * without copying them.
+ */
+function sliceBody (body, start, end) {
+  const slices = []
+  let offset = 0
+  for (const chunk of body) {
+    const chunkEnd = offset + chunk.byteLength
+    if (chunkEnd > start && offset <= end) {
+      slices.push(chunk.subarray(Math.max(start - offset, 0), Math.min(end + 1 - offset, chunk.byteLength)))
+    }
+    if (chunkEnd > end) break
+    offset = chunkEnd
+  }
+  return slices
+}
+
+/**
+ * Turns a full 200 result into the 206 result for range, or the 416 result
+ * if range can't be satisfied. Other results, and ranges to ignore, are
+ * returned as they are.
+ */
+function applyRange (result, range) {
+  if (result.statusCode !== 200) return result
+
+  let size = 0
+  for (const chunk of result.body) {
+    size += chunk.byteLength
+  }
+
+  const resolved = resolveRange(range, size)
+  if (resolved === undefined) return result
+
+  if (resolved === null) {
+    return {
+      ...result,
+      statusCode: 416,
+      statusMessage: 'Range Not Satisfiable',
+      headers: { ...result.headers, 'content-range': `bytes */${size}`, 'content-length': '0' },
+      body: []
+    }
+  }
+
+  const { start, end } = resolved
+  return {
+    ...result,
+    statusCode: 206,
+    statusMessage: 'Partial Content',
+    headers: {
+      ...result.headers,
+      'content-range': `bytes ${start}-${end}/${size}`,
+      'content-length': String(end - start + 1)
+    },
+    body: sliceBody(result.body, start, end),
+    range: { start, end, size }
+  }
+}
+
+/**
+ * Whether an If-Range request header lets the range apply to the result: it
+ * must match its strong ETag or its Last-Modified date.
+ */
+function ifRangeMatches (ifRange, result) {
+  if (ifRange === undefined) return true
+  if (typeof ifRange !== 'string' || ifRange.startsWith('W/')) return false
+  if (ifRange.startsWith('"')) return ifRange === result.etag || ifRange === result.headers?.etag
+
+  return ifRange === result.headers?.['last-modified']
+}
+
+module.exports = {
+  validateRange,
+  resolveRange,
+  sliceBody,
+  applyRange,
+  ifRangeMatches
+}
@@ -0,0 +1,94 @@
+'use strict'
+
+const { STATUS_CODES } = require('node:http')
+const { Readable } = require('node:stream')
+
+/**
+ * Turns the value given to set() into the value createWriteStream() receives
+ * from the undici cache interceptor.
+ *
+ * @param {object} value
+ * @param {number} now
+ * @returns {object}
+ */
+function createSetValue (value, now) {
+  const statusCode = value.statusCode ?? 200
+  if (!Number.isInteger(statusCode) || statusCode < 100 || statusCode > 599) {
+    throw new TypeError('value.statusCode must be an HTTP status code')
+  }
+
+  if (value.headers !== undefined && (typeof value.headers !== 'object' || value.headers === null)) {
+    throw new TypeError('value.headers must be an object')
+  }
+  // Lowercased, as undici gives them
+  const headers = {}
+  for (const [name, headerValue] of Object.entries(value.headers ?? {})) {
+    headers[name.toLowerCase()] = headerValue
+  }
+
+  if (value.vary !== undefined && (typeof value.vary !== 'object' || value.vary === null)) {
+    throw new TypeError('value.vary must be an object')
+  }
+
+  let staleAt = value.staleAt
+  if (value.ttl !== undefined) {
+    if (staleAt !== undefined) {
+      throw new TypeError('value.ttl and value.staleAt can\'t be both defined')
+    }
+    if (!Number.isInteger(value.ttl) || value.ttl <= 0) {
+      throw new TypeError('value.ttl must be a positive integer')
+    }
+    staleAt = now + value.ttl
+  }
+  if (typeof staleAt !== 'number' || Number.isNaN(staleAt)) {
+    throw new TypeError('value.ttl or value.staleAt must be defined')
+  }
+
+  const deleteAt = value.deleteAt ?? staleAt
+  if (typeof deleteAt !== 'number' || Number.isNaN(deleteAt) || deleteAt < staleAt) {
+    throw new TypeError('value.deleteAt must be a number greater than or equal to value.staleAt')
+  }
+
+  if (value.cacheTags !== undefined && (!Array.isArray(value.cacheTags) || !value.cacheTags.every(tag => typeof tag === 'string'))) {
+    throw new TypeError('value.cacheTags must be an array of strings')
+  }
+
+  return {
+    statusCode,
+    statusMessage: value.statusMessage ?? STATUS_CODES[statusCode] ?? '',
+    headers,
+    vary: value.vary,
+    etag: value.etag ?? (typeof headers.etag === 'string' ? headers.etag : undefined),
+    cacheControlDirectives: value.cacheControlDirectives ?? {},
+    cachedAt: now,
+    staleAt,
+    deleteAt
+  }
+}
+
+/**
+ * Returns a stream of the body given to set(): a string, a Buffer or any
+ * other view of bytes, a stream or an iterable of chunks.
+ */
+function createBodyStream (body) {
+  if (body === undefined || body === null) {
+    return Readable.from([])
+  }
+  if (typeof body === 'string') {
+    return Readable.from([Buffer.from(body)])
+  }
+  if (ArrayBuffer.isView(body)) {
+    // Copied, so that reusing the buffer doesn't change the cached body
+    return Readable.from([Buffer.from(new Uint8Array(body.buffer, body.byteOffset, body.byteLength))])
+  }
+  if (typeof body[Symbol.asyncIterator] === 'function' || typeof body[Symbol.iterator] === 'function') {
+    return Readable.from(body, { objectMode: false })
+  }
+
+  throw new TypeError('value.body must be a string, a Buffer, a stream or an iterable')
+}
+
+module.exports = {
+  createSetValue,
+  createBodyStream
+}
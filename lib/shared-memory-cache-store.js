@@ -0,0 +1,516 @@
+'use strict'
+
+const { Writable } = require('node:stream')
+const findEntry = require('./find-entry.js')
+const { parseCacheTagsOptions, parseCacheTags, normalizeCacheTags } = require('./cache-tags.js')
+
+/**
+ * The whole store lives in one SharedArrayBuffer, so that every thread given
+ * the buffer reads and writes the same entries:
+ *
+ * - a header of HEADER_INTS int32, starting with the lock word;
+ * - a hash table of slots, each one pointing to a record. Slots are hashed by
+ *   origin and path, so that every method and variant of a path is found by
+ *   probing from the same slot;
+ * - a ring of records, each one holding the key, the JSON metadata and the
+ *   body of an entry. Records are appended at the head and evicted from the
+ *   tail, oldest first. Deleted records leave a gap until the tail reaches
+ *   them.
+ *
+ * Every operation runs synchronously while holding the lock.
+ */
+const MAGIC = 0x75636d31 // ucm1
+
+const LOCK = 0
+const HEADER_MAGIC = 1
+const SLOT_CAPACITY = 2
+const MAX_COUNT = 3
+const DATA_SIZE = 4
+const COUNT = 5
+const HEAD = 6
+const TAIL = 7
+const RING_BYTES = 8
+const HEADER_INTS = 16
+
+// state, hash and record offset
+const SLOT_INTS = 3
+const SLOT_EMPTY = 0
+const SLOT_USED = 1
+const SLOT_DELETED = 2
+
+// total length, slot, key length, metadata length and body length
+const RECORD_HEADER_SIZE = 24
+const WRAP_MARKER = -1
+
+class SharedMemoryCacheStore {
+  #maxEntrySize = 5 * 1024 * 1024 // 5MB
+  #cacheTags = undefined
+  #buffer
+  #int32
+  #uint8
+  #slotCapacity
+  #dataOffset
+  #dataSize
+
+  constructor (opts) {
+    let maxCount = 1024
+    let maxSize = 100 * 1024 * 1024 // 100MB
+
+    if (opts) {
+      if (typeof opts !== 'object') {
+        throw new TypeError('SharedMemoryCacheStore options must be an object')
+      }
+
+      if (opts.maxCount !== undefined) {
+        if (
+          typeof opts.maxCount !== 'number' ||
+          !Number.isInteger(opts.maxCount) ||
+          opts.maxCount < 0 ||
+          opts.maxCount > 2 ** 24
+        ) {
+          throw new TypeError('SharedMemoryCacheStore options.maxCount must be an integer between 0 and 2 ** 24')
+        }
+        maxCount = opts.maxCount
+      }
+
+      if (opts.maxSize !== undefined) {
+        if (
+          typeof opts.maxSize !== 'number' ||
+          !Number.isInteger(opts.maxSize) ||
+          opts.maxSize < 0 ||
+          opts.maxSize > 2 ** 31 - 8
+        ) {
+          throw new TypeError('SharedMemoryCacheStore options.maxSize must be an integer between 0 and 2 ** 31 - 8')
+        }
+        maxSize = opts.maxSize
+      }
+
+      if (opts.maxEntrySize !== undefined) {
+        if (
+          typeof opts.maxEntrySize !== 'number' ||
+          !Number.isInteger(opts.maxEntrySize) ||
+          opts.maxEntrySize < 0
+        ) {
+          throw new TypeError('SharedMemoryCacheStore options.maxEntrySize must be a non-negative integer')
+        }
+        this.#maxEntrySize = opts.maxEntrySize
+      }
+
+      this.#cacheTags = parseCacheTagsOptions(opts, 'SharedMemoryCacheStore')
+    }
+
+    if (opts?.buffer !== undefined) {
+      if (!(opts.buffer instanceof SharedArrayBuffer)) {
+        throw new TypeError('SharedMemoryCacheStore options.buffer must be a SharedArrayBuffer')
+      }
+      this.#attach(opts.buffer)
+      if (this.#int32[HEADER_MAGIC] !== MAGIC) {
+        throw new TypeError('SharedMemoryCacheStore options.buffer must be the buffer of a SharedMemoryCacheStore')
+      }
+    } else {
+      // At least twice as many slots as entries keeps the probe sequences short
+      const slotCapacity = nextPowerOfTwo(Math.max(maxCount * 2, 2))
+      const dataSize = maxSize - (maxSize % 8)
+      const buffer = new SharedArrayBuffer(dataOffset(slotCapacity) + dataSize)
+      const header = new Int32Array(buffer, 0, HEADER_INTS)
+      header[HEADER_MAGIC] = MAGIC
+      header[SLOT_CAPACITY] = slotCapacity
+      header[MAX_COUNT] = maxCount
+      header[DATA_SIZE] = dataSize
+      this.#attach(buffer)
+    }
+  }
+
+  /**
+   * The SharedArrayBuffer holding the entries, to pass to the stores of other
+   * threads as `options.buffer`.
+   */
+  get buffer () {
+    return this.#buffer
+  }
+
+  get (key) {
+    if (typeof key !== 'object') {
+      throw new TypeError(`expected key to be object, got ${typeof key}`)
+    }
+
+    return this.#locked(() => {
+      const variants = this.#find(key.origin, key.path)
+        .filter(variant => variant.metadata.method === key.method)
+      const variant = findEntry(key, variants.map(variant => variant.metadata), Date.now())
+      if (variant === undefined) return undefined
+
+      const { slot } = variants.find(candidate => candidate.metadata === variant)
+      const record = this.#slotRecord(slot)
+      const { bodyStart, bodyLength } = this.#recordLayout(record)
+      // Copied out, as the record can be overwritten once the lock is released
+      const body = bodyLength > 0
+        ? [Buffer.from(this.#uint8.subarray(bodyStart, bodyStart + bodyLength))]
+        : []
+
+      return {
+        statusMessage: variant.statusMessage,
+        statusCode: variant.statusCode,
+        headers: variant.headers,
+        body,
+        etag: variant.etag,
+        cacheTags: variant.cacheTags,
+        cachedAt: variant.cachedAt,
+        vary: variant.vary,
+        staleAt: variant.staleAt,
+        deleteAt: variant.deleteAt,
+        cacheControlDirectives: variant.cacheControlDirectives
+      }
+    })
+  }
+
+  createWriteStream (key, val) {
+    if (typeof key !== 'object') {
+      throw new TypeError(`expected key to be object, got ${typeof key}`)
+    }
+    if (typeof val !== 'object') {
+      throw new TypeError(`expected value to be object, got ${typeof val}`)
+    }
+
+    const store = this
+    const cacheTags = parseCacheTags(val.headers, this.#cacheTags)
+    const body = []
+    let size = 0
+
+    return new Writable({
+      write (chunk, encoding, callback) {
+        if (typeof chunk === 'string') {
+          chunk = Buffer.from(chunk, encoding)
+        }
+
+        size += chunk.byteLength
+
+        if (size >= store.#maxEntrySize) {
+          this.destroy()
+        } else {
+          body.push(chunk)
+        }
+
+        callback(null)
+      },
+      final (callback) {
+        store.#saveEntry(key, val, cacheTags, Buffer.concat(body, size))
+        callback(null)
+      }
+    })
+  }
+
+  delete (key) {
+    if (typeof key !== 'object') {
+      throw new TypeError(`expected key to be object, got ${typeof key}`)
+    }
+
+    this.#locked(() => this.#deleteByKey(key, true))
+  }
+
+  deleteKeys (keys) {
+    for (const key of keys) {
+      if (key.origin === undefined) {
+        throw new TypeError('key.origin must be defined')
+      }
+      if (key.path === undefined) {
+        throw new TypeError('key.path must be defined')
+      }
+    }
+
+    this.#locked(() => {
+      for (const key of keys) {
+        this.#deleteByKey(key, false)
+      }
+    })
+  }
+
+  deleteTags (tags) {
+    this.#locked(() => this.#deleteByTags(new Set(normalizeCacheTags(tags, this.#cacheTags))))
+  }
+
+  #attach (buffer) {
+    this.#buffer = buffer
+    this.#int32 = new Int32Array(buffer)
+    this.#uint8 = new Uint8Array(buffer)
+    this.#slotCapacity = this.#int32[SLOT_CAPACITY]
+    this.#dataOffset = dataOffset(this.#slotCapacity)
+    this.#dataSize = this.#int32[DATA_SIZE]
+  }
+
+  #locked (fn) {
+    const int32 = this.#int32
+    while (Atomics.compareExchange(int32, LOCK, 0, 1) !== 0) {
+      Atomics.wait(int32, LOCK, 1)
+    }
+    try {
+      return fn()
+    } finally {
+      Atomics.store(int32, LOCK, 0)
+      Atomics.notify(int32, LOCK, 1)
+    }
+  }
+
+  #saveEntry (key, val, cacheTags, body) {
+    const routeKey = Buffer.from(JSON.stringify([key.origin, key.path]))
+    const metadata = Buffer.from(JSON.stringify({
+      method: key.method,
+      statusCode: val.statusCode,
+      statusMessage: val.statusMessage,
+      headers: val.headers,
+      etag: val.etag,
+      vary: val.vary,
+      cacheTags,
+      cachedAt: val.cachedAt,
+      staleAt: val.staleAt,
+      deleteAt: val.deleteAt,
+      cacheControlDirectives: val.cacheControlDirectives
+    }))
+    const length = align(RECORD_HEADER_SIZE + routeKey.byteLength + metadata.byteLength + body.byteLength)
+    if (length > this.#dataSize || this.#int32[MAX_COUNT] === 0) return
+
+    this.#locked(() => {
+      const now = Date.now()
+      const variants = this.#find(key.origin, key.path)
+        .filter(variant => variant.metadata.method === key.method)
+      const existing = findEntry(key, variants.map(variant => variant.metadata), now)
+      if (existing) {
+        this.#deleteSlot(variants.find(variant => variant.metadata === existing).slot)
+      }
+
+      while (this.#int32[COUNT] >= this.#int32[MAX_COUNT]) {
+        this.#evictTail()
+      }
+      const offset = this.#allocate(length)
+
+      const hash = hashRoute(routeKey)
+      const slot = this.#freeSlot(hash)
+      const int32 = this.#int32
+      int32[this.#slotIndex(slot)] = SLOT_USED
+      int32[this.#slotIndex(slot) + 1] = hash
+      int32[this.#slotIndex(slot) + 2] = offset
+      int32[COUNT]++
+
+      const record = this.#dataOffset + offset
+      const header = record / 4
+      int32[header] = length
+      int32[header + 1] = slot
+      int32[header + 2] = routeKey.byteLength
+      int32[header + 3] = metadata.byteLength
+      int32[header + 4] = body.byteLength
+
+      let position = record + RECORD_HEADER_SIZE
+      this.#uint8.set(routeKey, position)
+      position += routeKey.byteLength
+      this.#uint8.set(metadata, position)
+      position += metadata.byteLength
+      this.#uint8.set(body, position)
+    })
+  }
+
+  #deleteByKey (key, deleteAllMethods) {
+    const cacheTags = new Set()
+    for (const { slot, metadata } of this.#find(key.origin, key.path)) {
+      if (deleteAllMethods || key.method === undefined || metadata.method === key.method) {
+        this.#deleteSlot(slot)
+        for (const cacheTag of metadata.cacheTags ?? []) {
+          cacheTags.add(cacheTag)
+        }
+      }
+    }
+
+    // Like MemoryCacheStore, the routes sharing a tag go too
+    if (cacheTags.size > 0) {
+      this.#deleteByTags(cacheTags)
+    }
+  }
+
+  // Tags are not indexed, so every entry is checked until no deleted entry
+  // brings new tags to delete
+  #deleteByTags (cacheTags) {
+    let pending = [...cacheTags]
+    while (pending.length > 0) {
+      const deleting = new Set(pending)
+      pending = []
+
+      for (let slot = 0; slot < this.#slotCapacity; slot++) {
+        if (this.#int32[this.#slotIndex(slot)] !== SLOT_USED) continue
+
+        const metadata = this.#readMetadata(this.#slotRecord(slot))
+        if (!metadata.cacheTags?.some(cacheTag => deleting.has(cacheTag))) continue
+
+        this.#deleteSlot(slot)
+        for (const cacheTag of metadata.cacheTags) {
+          if (!cacheTags.has(cacheTag)) {
+            cacheTags.add(cacheTag)
+            pending.push(cacheTag)
+          }
+        }
+      }
+    }
+  }
+
+  // Returns the slots of every method and variant of a route
+  #find (origin, path) {
+    const routeKey = Buffer.from(JSON.stringify([origin, path]))
+    const hash = hashRoute(routeKey)
+    const int32 = this.#int32
+    const found = []
+
+    for (let i = 0, slot = hash & (this.#slotCapacity - 1); i < this.#slotCapacity; i++) {
+      const index = this.#slotIndex(slot)
+      if (int32[index] === SLOT_EMPTY) break
+
+      if (int32[index] === SLOT_USED && int32[index + 1] === hash) {
+        const record = this.#slotRecord(slot)
+        const { keyStart, keyLength } = this.#recordLayout(record)
+        if (routeKey.equals(this.#uint8.subarray(keyStart, keyStart + keyLength))) {
+          found.push({ slot, metadata: this.#readMetadata(record) })
+        }
+      }
+
+      slot = (slot + 1) & (this.#slotCapacity - 1)
+    }
+
+    return found
+  }
+
+  #freeSlot (hash) {
+    for (let slot = hash & (this.#slotCapacity - 1); ; slot = (slot + 1) & (this.#slotCapacity - 1)) {
+      if (this.#int32[this.#slotIndex(slot)] !== SLOT_USED) return slot
+    }
+  }
+
+  #deleteSlot (slot) {
+    const int32 = this.#int32
+    const index = this.#slotIndex(slot)
+    // The record stays in the ring until the tail reaches it
+    int32[this.#slotRecord(slot) / 4 + 1] = -1
+    int32[COUNT]--
+
+    // Slots followed by an empty one end no probe sequence, so they can be
+    // emptied instead of marked as deleted
+    const next = (slot + 1) & (this.#slotCapacity - 1)
+    if (int32[this.#slotIndex(next)] !== SLOT_EMPTY) {
+      int32[index] = SLOT_DELETED
+      return
+    }
+
+    int32[index] = SLOT_EMPTY
+    for (
+      let previous = (slot - 1) & (this.#slotCapacity - 1);
+      int32[this.#slotIndex(previous)] === SLOT_DELETED;
+      previous = (previous - 1) & (this.#slotCapacity - 1)
+    ) {
+      int32[this.#slotIndex(previous)] = SLOT_EMPTY
+    }
+  }
+
+  // Returns the offset in the ring of length free bytes, evicting the oldest
+  // records until they are available
+  #allocate (length) {
+    const int32 = this.#int32
+    while (true) {
+      if (int32[RING_BYTES] === 0) {
+        int32[HEAD] = 0
+        int32[TAIL] = 0
+      }
+
+      const head = int32[HEAD]
+      const tail = int32[TAIL]
+      if (int32[RING_BYTES] === 0 || head > tail) {
+        if (this.#dataSize - head >= length) {
+          return this.#advanceHead(head, length)
+        }
+        if (tail >= length) {
+          // Wraps around, skipping the end of the ring
+          if (head < this.#dataSize) {
+            int32[(this.#dataOffset + head) / 4] = WRAP_MARKER
+          }
+          int32[RING_BYTES] += this.#dataSize - head
+          return this.#advanceHead(0, length)
+        }
+      } else if (head < tail && tail - head >= length) {
+        return this.#advanceHead(head, length)
+      }
+
+      this.#evictTail()
+    }
+  }
+
+  #advanceHead (offset, length) {
+    this.#int32[HEAD] = offset + length
+    this.#int32[RING_BYTES] += length
+    return offset
+  }
+
+  #evictTail () {
+    const int32 = this.#int32
+    const tail = int32[TAIL]
+    if (tail === this.#dataSize || int32[(this.#dataOffset + tail) / 4] === WRAP_MARKER) {
+      int32[RING_BYTES] -= this.#dataSize - tail
+      int32[TAIL] = 0
+      return
+    }
+
+    const header = (this.#dataOffset + tail) / 4
+    if (int32[header + 1] !== -1) {
+      this.#deleteSlot(int32[header + 1])
+    }
+    int32[RING_BYTES] -= int32[header]
+    int32[TAIL] = tail + int32[header]
+  }
+
+  #slotIndex (slot) {
+    return HEADER_INTS + slot * SLOT_INTS
+  }
+
+  #slotRecord (slot) {
+    return this.#dataOffset + this.#int32[this.#slotIndex(slot) + 2]
+  }
+
+  #recordLayout (record) {
+    const header = record / 4
+    const keyStart = record + RECORD_HEADER_SIZE
+    const keyLength = this.#int32[header + 2]
+    const metadataStart = keyStart + keyLength
+    const metadataLength = this.#int32[header + 3]
+    return {
+      keyStart,
+      keyLength,
+      metadataStart,
+      metadataLength,
+      bodyStart: metadataStart + metadataLength,
+      bodyLength: this.#int32[header + 4]
+    }
+  }
+
+  #readMetadata (record) {
+    const { metadataStart, metadataLength } = this.#recordLayout(record)
+    return JSON.parse(Buffer.from(this.#buffer, metadataStart, metadataLength).toString())
+  }
+}
+
+function dataOffset (slotCapacity) {
+  return align((HEADER_INTS + slotCapacity * SLOT_INTS) * 4)
+}
+
+function align (length) {
+  return Math.ceil(length / 8) * 8
+}
+
+function nextPowerOfTwo (n) {
+  return 2 ** Math.ceil(Math.log2(n))
+}
+
+// 32-bit FNV-1a
+function hashRoute (routeKey) {
+  let hash = 0x811c9dc5
+  for (let i = 0; i < routeKey.byteLength; i++) {
+    hash ^= routeKey[i]
+    hash = Math.imul(hash, 0x01000193)
+  }
+  return hash | 0
+}
+
+module.exports = SharedMemoryCacheStore
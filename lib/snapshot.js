@@ -0,0 +1,117 @@
+'use strict'
+
+const { createReadStream, createWriteStream } = require('node:fs')
+const { rename, unlink } = require('node:fs/promises')
+const { once } = require('node:events')
+const { finished } = require('node:stream/promises')
+const { createInterface } = require('node:readline')
+
+/**
+ * Snapshots are newline-delimited JSON: a header line with the format version,
+ * then one line per entry with its body chunks encoded in base64. Entries can
+ * be written and read one at a time, without holding the whole snapshot.
+ */
+const SNAPSHOT_VERSION = 1
+
+/**
+ * @param {object[]} entries
+ * @param {string | import('node:stream').Writable} destination
+ */
+async function writeSnapshot (entries, destination) {
+  if (typeof destination === 'string') {
+    // Written aside and renamed, so a crash never leaves a truncated snapshot
+    const tmpPath = `${destination}.${process.pid}.tmp`
+    try {
+      await writeSnapshot(entries, createWriteStream(tmpPath))
+      await rename(tmpPath, destination)
+    } catch (err) {
+      await unlink(tmpPath).catch(() => {})
+      throw err
+    }
+    return
+  }
+
+  if (typeof destination?.write !== 'function') {
+    throw new TypeError('snapshot destination must be a path or a writable stream')
+  }
+
+  const done = finished(destination)
+  // Surfaced by finished() instead
+  done.catch(() => {})
+
+  await writeLine(destination, { version: SNAPSHOT_VERSION, createdAt: Date.now() })
+  for (const entry of entries) {
+    await writeLine(destination, serializeEntry(entry))
+  }
+  destination.end()
+
+  await done
+}
+
+/**
+ * @param {string | import('node:stream').Readable | AsyncIterable<Buffer | string>} source
+ * @returns {AsyncGenerator<object>}
+ */
+async function * readSnapshot (source) {
+  if (typeof source === 'string') {
+    source = createReadStream(source)
+  } else if (typeof source?.[Symbol.asyncIterator] !== 'function') {
+    throw new TypeError('snapshot source must be a path or a readable stream')
+  }
+
+  const lines = createInterface({ input: source, crlfDelay: Infinity })
+  let header
+  for await (const line of lines) {
+    if (line === '') continue
+
+    const record = JSON.parse(line)
+    if (header === undefined) {
+      header = record
+      if (header.version !== SNAPSHOT_VERSION) {
+        throw new Error(`unsupported snapshot version ${header.version}, expected ${SNAPSHOT_VERSION}`)
+      }
+      continue
+    }
+
+    yield parseRecord(record)
+  }
+
+  if (header === undefined) {
+    throw new Error('snapshot is empty')
+  }
+}
+
+function serializeEntry (entry) {
+  return {
+    key: { origin: entry.origin, path: entry.path, method: entry.method },
+    statusCode: entry.statusCode,
+    statusMessage: entry.statusMessage,
+    headers: entry.headers,
+    vary: entry.vary,
+    etag: entry.etag,
+    cacheTags: entry.cacheTags,
+    cachedAt: entry.cachedAt,
+    staleAt: entry.staleAt,
+    deleteAt: entry.deleteAt,
+    cacheControlDirectives: entry.cacheControlDirectives,
+    compression: entry.compression,
+    body: entry.body.map(chunk => chunk.toString('base64'))
+  }
+}
+
+function parseRecord (record) {
+  const { key, body, ...value } = record
+  return { key, value, body: body.map(chunk => Buffer.from(chunk, 'base64')) }
+}
+
+async function writeLine (stream, record) {
+  if (!stream.write(JSON.stringify(record) + '\n')) {
+    await once(stream, 'drain')
+  }
+}
+
+module.exports = {
+  SNAPSHOT_VERSION,
+  writeSnapshot,
+  readSnapshot
+}
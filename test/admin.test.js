@@ -0,0 +1,224 @@
+'use strict'
+
+const { describe, test, after } = require('node:test')
+const { equal, deepStrictEqual, throws, rejects } = require('node:assert')
+const { createServer } = require('node:http')
+const { once } = require('node:events')
+const { mkdtemp, rm } = require('node:fs/promises')
+const { tmpdir } = require('node:os')
+const { join } = require('node:path')
+const Fastify = require('fastify')
+const MemoryCacheStore = require('../index.js')
+const { writeEntry } = require('./cache-store-test-utils.js')
+const { createAdminHandler, fastifyAdmin } = MemoryCacheStore
+
+async function createStore () {
+  const store = new MemoryCacheStore({ cacheTagsHeader: 'cache-tag' })
+  for (const language of ['en', 'fr']) {
+    await writeEntry(store, '/products', 'body', {
+      origin: 'https://example.com',
+      vary: { 'accept-language': language },
+      requestHeaders: { 'accept-language': language },
+      headers: { 'cache-tag': 'products' },
+      etag: `"${language}"`
+    })
+  }
+  await writeEntry(store, '/users/1', 'user', { origin: 'https://example.com' })
+  await writeEntry(store, '/', 'body', { origin: 'https://other.com', headers: { 'cache-tag': 'home' } })
+  return store
+}
+
+async function listen (handler) {
+  const server = createServer(handler).listen(0)
+  await once(server, 'listening')
+  after(() => server.close())
+  return `http://localhost:${server.address().port}`
+}
+
+async function request (url, opts) {
+  const res = await fetch(url, opts)
+  return { statusCode: res.status, body: await res.json() }
+}
+
+function purge (url, body) {
+  return request(`${url}/purge`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify(body)
+  })
+}
+
+describe('admin handler', () => {
+  test('validates its options', () => {
+    throws(() => createAdminHandler({}), TypeError)
+    throws(() => createAdminHandler(new MemoryCacheStore(), { prefix: 1 }), TypeError)
+    throws(() => createAdminHandler(new MemoryCacheStore(), { write: 'yes' }), TypeError)
+  })
+
+  test('reports the stats', async () => {
+    const store = await createStore()
+    const url = await listen(createAdminHandler(store))
+
+    const { statusCode, body } = await request(`${url}/stats`)
+    equal(statusCode, 200)
+    equal(body.count, 4)
+    equal(body.writes, 4)
+  })
+
+  test('lists the origins and paths', async () => {
+    const store = await createStore()
+    const url = await listen(createAdminHandler(store, { prefix: '/cache/' }))
+
+    const { statusCode, body } = await request(`${url}/cache/entries`)
+    equal(statusCode, 200)
+    equal(body.length, 2)
+
+    const [example, other] = body
+    equal(example.origin, 'https://example.com')
+    equal(example.size, 12)
+    equal(example.count, 3)
+    equal(example.paths[0].path, '/products')
+    equal(example.paths[0].method, 'GET')
+    equal(example.paths[0].variants, 2)
+    equal(example.paths[0].size, 8)
+    equal(example.paths[0].ttl, 7200)
+    equal(other.paths[0].path, '/')
+
+    const filtered = await request(`${url}/cache/entries?origin=${encodeURIComponent('https://other.com')}`)
+    deepStrictEqual(filtered.body.map(origin => origin.origin), ['https://other.com'])
+  })
+
+  test('shows the variants of a key', async () => {
+    const store = await createStore()
+    const url = await listen(createAdminHandler(store))
+
+    const origin = encodeURIComponent('https://example.com')
+    const { statusCode, body } = await request(`${url}/entry?origin=${origin}&path=/products`)
+    equal(statusCode, 200)
+    deepStrictEqual(body.map(variant => variant.vary), [{ 'accept-language': 'en' }, { 'accept-language': 'fr' }])
+    deepStrictEqual(body.map(variant => variant.etag), ['"en"', '"fr"'])
+    deepStrictEqual(body[0].cacheTags, ['products'])
+    equal(typeof body[0].staleAt, 'number')
+    equal(typeof body[0].deleteAt, 'number')
+
+    equal((await request(`${url}/entry?origin=${origin}&path=/missing`)).statusCode, 404)
+    equal((await request(`${url}/entry?path=/products`)).statusCode, 400)
+  })
+
+  test('is read-only without the write option', async () => {
+    const store = await createStore()
+    const url = await listen(createAdminHandler(store))
+
+    equal((await purge(url, { all: true })).statusCode, 403)
+    equal(store.getStats().count, 4)
+  })
+
+  test('purges by key, tag, prefix or everything', async () => {
+    const store = await createStore()
+    const url = await listen(createAdminHandler(store, { write: true }))
+
+    deepStrictEqual(await purge(url, { key: { origin: 'https://example.com', path: '/users/1' } }), {
+      statusCode: 200,
+      body: { purged: 1 }
+    })
+    deepStrictEqual((await purge(url, { tags: ['products'] })).body, { purged: 2 })
+
+    await writeEntry(store, '/users/2', 'body', { origin: 'https://example.com' })
+    deepStrictEqual((await purge(url, { origin: 'https://example.com', prefix: '/users/' })).body, { purged: 1 })
+    deepStrictEqual((await purge(url, { all: true })).body, { purged: 1 })
+    equal(store.getStats().count, 0)
+  })
+
+  test('purges the entries on disk with everything', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'undici-cache-memory-test-'))
+    const store = new MemoryCacheStore({ maxCount: 1, diskPath: dir })
+    after(async () => {
+      await store.close()
+      await rm(dir, { recursive: true, force: true })
+    })
+    const url = await listen(createAdminHandler(store, { write: true }))
+
+    // Only on disk once evicted, which leaves its origin without entries in memory
+    await writeEntry(store, '/a', 'body', { origin: 'https://other.com' })
+    await writeEntry(store, '/b', 'body', { origin: 'https://example.com' })
+    equal(store.getStats().demotions, 1)
+
+    deepStrictEqual((await purge(url, { all: true })).body, { purged: 1 })
+    equal(await store.get({ origin: 'https://other.com', path: '/a', method: 'GET', headers: {} }), undefined)
+  })
+
+  test('destroys the response when it cannot be written', async () => {
+    const store = await createStore()
+    const handler = createAdminHandler(store)
+    const res = {
+      writeHead () {
+        throw new Error('headers already sent')
+      },
+      destroy () {
+        this.destroyed = true
+      }
+    }
+
+    handler({ method: 'GET', url: '/stats' }, res)
+    await new Promise(resolve => setImmediate(resolve))
+    equal(res.destroyed, true)
+  })
+
+  test('marks entries stale with a soft purge', async () => {
+    const store = await createStore()
+    const url = await listen(createAdminHandler(store, { write: true }))
+
+    deepStrictEqual((await purge(url, { tags: ['products'], soft: true })).body, { purged: 2 })
+    equal(store.getStats().count, 4)
+    equal((await purge(url, { all: true, soft: 'yes' })).statusCode, 400)
+  })
+
+  test('answers malformed requests with an error', async () => {
+    const store = await createStore()
+    const url = await listen(createAdminHandler(store, { write: true }))
+
+    equal((await request(`${url}/unknown`)).statusCode, 404)
+    equal((await request(`${url}/purge`)).statusCode, 405)
+    equal((await purge(url, {})).statusCode, 400)
+    equal((await purge(url, { prefix: '/' })).statusCode, 400)
+
+    const invalid = await request(`${url}/purge`, { method: 'POST', body: '{' })
+    deepStrictEqual(invalid, { statusCode: 400, body: { error: 'the body must be valid JSON' } })
+  })
+})
+
+describe('fastify plugin', () => {
+  async function createFastify (store, opts) {
+    const fastify = Fastify()
+    fastify.register(fastifyAdmin, { store, ...opts })
+    await fastify.ready()
+    after(() => fastify.close())
+    return fastify
+  }
+
+  async function inject (fastify, method, url, body) {
+    const res = await fastify.inject({ method, url, body })
+    return { statusCode: res.statusCode, body: res.json() }
+  }
+
+  test('registers the admin routes under its prefix', async () => {
+    const store = await createStore()
+    const fastify = await createFastify(store, { prefix: '/cache', write: true })
+
+    equal((await inject(fastify, 'GET', '/cache/stats')).body.count, 4)
+    equal((await inject(fastify, 'GET', '/cache/entries?origin=https://other.com')).body.length, 1)
+    equal((await inject(fastify, 'GET', '/cache/unknown')).statusCode, 404)
+    deepStrictEqual((await inject(fastify, 'POST', '/cache/purge', { tags: ['home'] })).body, { purged: 1 })
+    equal((await inject(fastify, 'POST', '/cache/purge', { prefix: '/' })).statusCode, 400)
+    equal((await inject(fastify, 'GET', '/stats')).statusCode, 404)
+  })
+
+  test('is read-only without the write option', async () => {
+    const store = await createStore()
+    const fastify = await createFastify(store)
+
+    equal((await inject(fastify, 'POST', '/purge', { all: true })).statusCode, 403)
+    equal(store.getStats().count, 4)
+    await rejects(createFastify(undefined), TypeError)
+  })
+})
@@ -0,0 +1,114 @@
+'use strict'
+
+const { describe, test, after } = require('node:test')
+const { equal, deepStrictEqual, throws } = require('node:assert')
+const { once } = require('node:events')
+const { BroadcastChannel, Worker } = require('node:worker_threads')
+const MemoryCacheStore = require('../index.js')
+const { writeEntry, has } = require('./cache-store-test-utils.js')
+
+let channelId = 0
+
+function createChannelName () {
+  return `undici-cache-memory-test-${process.pid}-${channelId++}`
+}
+
+function createStores (count, broadcastChannel = createChannelName()) {
+  const stores = []
+  for (let i = 0; i < count; i++) {
+    const store = new MemoryCacheStore({ broadcastChannel, cacheTagsHeader: 'cache-tag' })
+    after(() => store.close())
+    stores.push(store)
+  }
+  return stores
+}
+
+// Messages are delivered on a later turn of the event loop
+function tick () {
+  return new Promise(resolve => setTimeout(resolve, 20))
+}
+
+describe('broadcastChannel', () => {
+  test('validates the option', () => {
+    throws(() => new MemoryCacheStore({ broadcastChannel: '' }), TypeError)
+    throws(() => new MemoryCacheStore({ broadcastChannel: 42 }), TypeError)
+  })
+
+  test('applies every invalidation on the peer stores', async () => {
+    const [a, b] = createStores(2)
+    for (const store of [a, b]) {
+      await writeEntry(store, '/key')
+      await writeEntry(store, '/keys')
+      await writeEntry(store, '/tagged', 'test-data', { headers: { 'cache-tag': 'products' } })
+      await writeEntry(store, '/api/users')
+      await writeEntry(store, '/kept')
+    }
+
+    a.delete({ origin: 'example.com', path: '/key' })
+    a.deleteKeys([{ origin: 'example.com', path: '/keys', method: 'GET' }])
+    a.deleteTags(['products'])
+    a.deletePaths({ origin: 'example.com', regexp: /^\/api\// })
+    await tick()
+
+    for (const store of [a, b]) {
+      deepStrictEqual(
+        ['/key', '/keys', '/tagged', '/api/users', '/kept'].map(path => has(store, path)),
+        [false, false, false, false, true]
+      )
+    }
+  })
+
+  test('does not send invalidations back', async () => {
+    const stores = createStores(3)
+    const deletions = stores.map(() => 0)
+    for (const [i, store] of stores.entries()) {
+      await writeEntry(store, '/a')
+      store.on('delete', () => deletions[i]++)
+    }
+
+    stores[0].delete({ origin: 'example.com', path: '/a' })
+    await tick()
+    // Written again after the invalidation, so a message looping back would delete it
+    await writeEntry(stores[0], '/a')
+    await tick()
+
+    deepStrictEqual(deletions, [1, 1, 1])
+    equal(has(stores[0], '/a'), true)
+  })
+
+  test('ignores unrelated messages and stops listening on close', async () => {
+    const name = createChannelName()
+    const [a, b] = createStores(2, name)
+    await writeEntry(b, '/a')
+
+    const channel = new BroadcastChannel(name)
+    channel.postMessage('unrelated')
+    channel.postMessage({ method: 'close', args: [] })
+    channel.postMessage({ method: 'delete' })
+    channel.close()
+    await tick()
+    equal(has(b, '/a'), true)
+
+    await a.close()
+    a.delete({ origin: 'example.com', path: '/a' })
+    await tick()
+    equal(has(b, '/a'), true)
+  })
+
+  test('reaches stores in other threads', async () => {
+    const name = createChannelName()
+    const [store] = createStores(1, name)
+    await writeEntry(store, '/a')
+
+    const worker = new Worker(`
+      const MemoryCacheStore = require(${JSON.stringify(require.resolve('../index.js'))})
+      const store = new MemoryCacheStore({ broadcastChannel: ${JSON.stringify(name)} })
+      store.delete({ origin: 'example.com', path: '/a' })
+      store.close()
+    `, { eval: true })
+    await once(worker, 'exit')
+    await tick()
+
+    equal(has(store, '/a'), false)
+  })
+})
@@ -448,9 +448,49 @@ async function compareGetResults (actual, expected, expectedBody) {
   }
 }
 
+/**
+ * The value the cache interceptor would store for a 200 response, fresh for
+ * an hour and kept for two
+ */
+function createEntryValue (opts = {}) {
+  const now = Date.now()
+  return {
+    statusCode: opts.statusCode ?? 200,
+    statusMessage: 'OK',
+    headers: opts.headers ?? {},
+    vary: opts.vary,
+    etag: opts.etag,
+    cacheControlDirectives: { 'max-age': 3600 },
+    cachedAt: opts.cachedAt ?? now,
+    staleAt: opts.staleAt ?? now + 3600000,
+    deleteAt: opts.deleteAt ?? now + 7200000
+  }
+}
+
+/**
+ * Writes an entry for path, by default of example.com, and waits for the
+ * store to commit it. The body is a string, a Buffer or an array of chunks.
+ */
+async function writeEntry (store, path, body = 'test-data', opts = {}) {
+  const key = { origin: opts.origin ?? 'example.com', path, method: opts.method ?? 'GET', headers: opts.requestHeaders ?? {} }
+  const writable = store.createWriteStream(key, createEntryValue(opts))
+  for (const chunk of Array.isArray(body) ? body : [body]) {
+    writable.write(chunk)
+  }
+  writable.end()
+  await once(writable, 'close')
+}
+
+function has (store, path, origin = 'example.com') {
+  return store.get({ origin, path, method: 'GET', headers: {} }) !== undefined
+}
+
 module.exports = {
   cacheStoreTests,
   writeBody,
   readBody,
-  compareGetResults
+  compareGetResults,
+  createEntryValue,
+  writeEntry,
+  has
 }
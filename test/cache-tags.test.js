@@ -0,0 +1,77 @@
+'use strict'
+
+const { describe, test } = require('node:test')
+const { deepStrictEqual, equal, throws } = require('node:assert')
+const MemoryCacheStore = require('../index.js')
+const { SharedMemoryCacheStore } = MemoryCacheStore
+const { parseCacheTagsOptions, parseCacheTags } = require('../lib/cache-tags.js')
+const { writeEntry, has } = require('./cache-store-test-utils.js')
+
+function parse (headers, opts) {
+  return parseCacheTags(headers, parseCacheTagsOptions(opts, 'MemoryCacheStore'))
+}
+
+describe('cache tag headers', () => {
+  test('trims and deduplicates comma-separated tags', () => {
+    deepStrictEqual(parse({ 'Cache-Tag': 'a, b ,, a' }, { cacheTagsHeader: 'cache-tag' }), ['a', 'b'])
+    deepStrictEqual(parse({ 'cache-tag': ['a,b', 'b,c'] }, { cacheTagsHeader: 'cache-tag' }), ['a', 'b', 'c'])
+    deepStrictEqual(parse({ 'cache-tag': 'a' }, {}), [])
+  })
+
+  test('splits space-separated tags', () => {
+    const opts = { cacheTagsHeader: ['Surrogate-Key', 'edge-cache-tag'], cacheTagsFormat: 'space' }
+    deepStrictEqual(parse({ 'surrogate-key': ' a  b\tc ', 'edge-cache-tag': 'c d' }, opts), ['a', 'b', 'c', 'd'])
+  })
+
+  test('splits the tags of every header with its own format', () => {
+    const headers = { 'cache-tag': 'a,b', 'surrogate-key': 'c d', 'x-tags': 'e f' }
+    deepStrictEqual(parse(headers, { cacheTagsHeader: ['cache-tag', 'surrogate-key'] }), ['a', 'b', 'c', 'd'])
+    deepStrictEqual(parse(headers, {
+      cacheTagsHeader: ['Cache-Tag', 'surrogate-key', 'x-tags'],
+      cacheTagsFormat: { 'X-Tags': 'space', 'surrogate-key': (value) => value.split('d') }
+    }), ['a', 'b', 'c', 'e', 'f'])
+  })
+
+  test('splits tags with a custom parser', () => {
+    const opts = {
+      cacheTagsHeader: ['x-tags', 'surrogate-key'],
+      cacheTagsFormat: (value, header) => header === 'x-tags' ? value.split(';') : [value, 42]
+    }
+    deepStrictEqual(parse({ 'x-tags': 'a;b', 'surrogate-key': 'c d' }, opts), ['a', 'b', 'c d'])
+  })
+
+  test('lowercases tags and applies limits', () => {
+    deepStrictEqual(parse({ 'cache-tag': 'A,a,B' }, { cacheTagsHeader: 'cache-tag', cacheTagsLowercase: true }), ['a', 'b'])
+    deepStrictEqual(parse({ 'cache-tag': 'a,b,c,d' }, { cacheTagsHeader: 'cache-tag', cacheTagsMaxCount: 2 }), ['a', 'b'])
+    deepStrictEqual(parse({ 'cache-tag': 'abc,de,fghi' }, { cacheTagsHeader: 'cache-tag', cacheTagsMaxLength: 3 }), ['abc', 'de'])
+  })
+
+  test('validates the options', () => {
+    throws(() => new MemoryCacheStore({ cacheTagsHeader: 42 }), TypeError)
+    throws(() => new MemoryCacheStore({ cacheTagsHeader: [] }), TypeError)
+    throws(() => new MemoryCacheStore({ cacheTagsHeader: ['cache-tag', ''] }), TypeError)
+    throws(() => new MemoryCacheStore({ cacheTagsHeader: 'cache-tag', cacheTagsFormat: 'semicolon' }), TypeError)
+    throws(() => new MemoryCacheStore({ cacheTagsHeader: 'cache-tag', cacheTagsFormat: { 'cache-tag': 'semicolon' } }), TypeError)
+    throws(() => new MemoryCacheStore({ cacheTagsHeader: 'cache-tag', cacheTagsLowercase: 'yes' }), TypeError)
+    throws(() => new MemoryCacheStore({ cacheTagsHeader: 'cache-tag', cacheTagsMaxCount: 0 }), TypeError)
+    throws(() => new SharedMemoryCacheStore({ cacheTagsHeader: 'cache-tag', cacheTagsMaxLength: 1.5 }), TypeError)
+  })
+
+  for (const Store of [MemoryCacheStore, SharedMemoryCacheStore]) {
+    test(`${Store.name} purges by the tags of every header`, async () => {
+      const store = new Store({
+        cacheTagsHeader: ['cache-tag', 'surrogate-key'],
+        cacheTagsFormat: 'space',
+        cacheTagsLowercase: true
+      })
+      await writeEntry(store, '/a', 'test-data', { headers: { 'surrogate-key': 'Product-1 products' } })
+      await writeEntry(store, '/b', 'test-data', { headers: { 'cache-tag': 'product-2 Products' } })
+      await writeEntry(store, '/c', 'test-data', { headers: { 'cache-tag': 'other' } })
+
+      store.deleteTags(['PRODUCTS'])
+      equal(has(store, '/a'), false)
+      equal(has(store, '/b'), false)
+      equal(has(store, '/c'), true)
+    })
+  }
+})
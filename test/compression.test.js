@@ -0,0 +1,99 @@
+'use strict'
+
+const { describe, test } = require('node:test')
+const { equal, throws, notEqual } = require('node:assert')
+const { PassThrough, Readable } = require('node:stream')
+const zlib = require('node:zlib')
+const { randomBytes } = require('node:crypto')
+const MemoryCacheStore = require('../index.js')
+const { writeEntry } = require('./cache-store-test-utils.js')
+
+const text = JSON.stringify(Array.from({ length: 200 }, (_, i) => ({ id: i, name: 'product' })))
+
+// Split in several chunks, as a response would be
+function splitBody (body) {
+  const chunks = []
+  for (let i = 0; i < body.length; i += 1000) {
+    chunks.push(body.slice(i, i + 1000))
+  }
+  return chunks
+}
+
+function read (store, path) {
+  const result = store.get({ origin: 'example.com', path, method: 'GET', headers: {} })
+  return result && Buffer.concat(result.body).toString()
+}
+
+describe('compress', () => {
+  test('validates the option', () => {
+    throws(() => new MemoryCacheStore({ compress: 'deflate' }), TypeError)
+    throws(() => new MemoryCacheStore({ compress: 42 }), TypeError)
+    throws(() => new MemoryCacheStore({ compress: { algorithm: 'gzip', minSize: -1 } }), TypeError)
+  })
+
+  for (const algorithm of ['gzip', 'brotli']) {
+    test(`stores bodies compressed with ${algorithm}`, async () => {
+      const store = new MemoryCacheStore({ compress: algorithm })
+      await writeEntry(store, '/products', splitBody(text))
+
+      equal(read(store, '/products'), text)
+      const { size } = store.getStats()
+      equal(size > 0 && size < text.length / 3, true)
+    })
+  }
+
+  test('supports zstd when Node.js does', async () => {
+    if (typeof zlib.zstdCompressSync !== 'function') {
+      throws(() => new MemoryCacheStore({ compress: 'zstd' }), TypeError)
+      return
+    }
+
+    const store = new MemoryCacheStore({ compress: 'zstd' })
+    await writeEntry(store, '/products', splitBody(text))
+    equal(read(store, '/products'), text)
+  })
+
+  test('keeps bodies under minSize as they are', async () => {
+    const store = new MemoryCacheStore({ compress: { algorithm: 'gzip', minSize: 100 } })
+    await writeEntry(store, '/small', 'x'.repeat(99))
+
+    equal(read(store, '/small'), 'x'.repeat(99))
+    equal(store.getStats().size, 99)
+  })
+
+  test('applies maxEntrySize to the compressed body', async () => {
+    const store = new MemoryCacheStore({ compress: 'gzip', maxEntrySize: 2000 })
+    await writeEntry(store, '/compressible', splitBody(text))
+    await writeEntry(store, '/random', splitBody(randomBytes(4000).toString('base64')))
+
+    equal(read(store, '/compressible'), text)
+    equal(read(store, '/random'), undefined)
+    equal(store.getStats().rejectedWrites, 1)
+  })
+
+  test('does not compress bodies with a content-encoding', async () => {
+    const store = new MemoryCacheStore({ compress: 'gzip' })
+    const body = zlib.gzipSync(text).toString('latin1')
+    await writeEntry(store, '/encoded', splitBody(body), { headers: { 'content-encoding': 'gzip' } })
+
+    equal(store.getStats().size, Buffer.byteLength(body))
+  })
+
+  test('restores snapshots taken with other compress options', async () => {
+    const compressed = new MemoryCacheStore({ compress: 'brotli' })
+    await writeEntry(compressed, '/products', splitBody(text))
+
+    const snapshot = new PassThrough()
+    const chunks = []
+    snapshot.on('data', chunk => chunks.push(chunk))
+    await compressed.snapshot(snapshot)
+
+    const plain = await MemoryCacheStore.restore(Readable.from(chunks))
+    equal(read(plain, '/products'), text)
+    equal(plain.getStats().size, text.length)
+
+    const gzipped = await MemoryCacheStore.restore(Readable.from(chunks), { compress: 'gzip' })
+    equal(read(gzipped, '/products'), text)
+    notEqual(gzipped.getStats().size, text.length)
+  })
+})
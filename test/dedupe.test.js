@@ -0,0 +1,85 @@
+'use strict'
+
+const { describe, test } = require('node:test')
+const { equal, throws } = require('node:assert')
+const MemoryCacheStore = require('../index.js')
+const { writeEntry } = require('./cache-store-test-utils.js')
+
+function read (store, path, opts = {}) {
+  const result = store.get({ origin: opts.origin ?? 'example.com', path, method: 'GET', headers: opts.requestHeaders ?? {} })
+  return result && Buffer.concat(result.body).toString()
+}
+
+describe('dedupe', () => {
+  test('validates the option', () => {
+    throws(() => new MemoryCacheStore({ dedupe: 'yes' }), TypeError)
+  })
+
+  test('charges identical bodies once', async () => {
+    const store = new MemoryCacheStore({ dedupe: true })
+    const body = 'x'.repeat(100)
+    for (const language of ['en', 'fr']) {
+      await writeEntry(store, '/page', body, {
+        vary: { 'accept-language': language },
+        requestHeaders: { 'accept-language': language }
+      })
+    }
+    await writeEntry(store, '/page-copy', body, { origin: 'other.com' })
+    await writeEntry(store, '/other', 'y'.repeat(50))
+
+    const stats = store.getStats()
+    equal(stats.size, 150)
+    equal(stats.count, 4)
+    equal(stats.dedupRatio, 350 / 150)
+    equal(stats.origins['example.com'].size, 250)
+    equal(read(store, '/page-copy', { origin: 'other.com' }), body)
+  })
+
+  test('frees a body once its last entry is deleted', async () => {
+    const store = new MemoryCacheStore({ dedupe: true })
+    await writeEntry(store, '/a', 'same-body')
+    await writeEntry(store, '/b', 'same-body')
+
+    store.delete({ origin: 'example.com', path: '/a' })
+    equal(store.getStats().size, 9)
+    equal(read(store, '/b'), 'same-body')
+
+    store.delete({ origin: 'example.com', path: '/b' })
+    equal(store.getStats().size, 0)
+    equal(store.getStats().dedupRatio, 1)
+
+    await writeEntry(store, '/c', 'same-body')
+    equal(store.getStats().size, 9)
+  })
+
+  test('stores duplicates that would not fit otherwise', async () => {
+    const store = new MemoryCacheStore({ dedupe: true, maxSize: 20 })
+    await writeEntry(store, '/a', 'x'.repeat(15))
+    await writeEntry(store, '/b', 'x'.repeat(15))
+
+    equal(read(store, '/a'), 'x'.repeat(15))
+    equal(read(store, '/b'), 'x'.repeat(15))
+    equal(store.getStats().evictions, 0)
+  })
+
+  test('keeps a shared body while evicting its other entries', async () => {
+    const store = new MemoryCacheStore({ dedupe: true, maxCount: 2 })
+    await writeEntry(store, '/a', 'x'.repeat(10))
+    await writeEntry(store, '/b', 'y'.repeat(8))
+    // Evicts /a, the only other entry with the same body
+    await writeEntry(store, '/c', 'x'.repeat(10))
+
+    equal(read(store, '/a'), undefined)
+    equal(read(store, '/c'), 'x'.repeat(10))
+    equal(store.getStats().size, 18)
+  })
+
+  test('charges every body without the option', async () => {
+    const store = new MemoryCacheStore()
+    await writeEntry(store, '/a', 'same-body')
+    await writeEntry(store, '/b', 'same-body')
+
+    equal(store.getStats().size, 18)
+    equal(store.getStats().dedupRatio, 1)
+  })
+})
@@ -0,0 +1,125 @@
+'use strict'
+
+const { describe, test } = require('node:test')
+const { equal, deepStrictEqual, throws } = require('node:assert')
+const MemoryCacheStore = require('../index.js')
+const { channels } = MemoryCacheStore
+const CachedAtIndex = require('../lib/cached-at-index.js')
+const { writeEntry } = require('./cache-store-test-utils.js')
+
+function createKey (path, origin = 'example.com') {
+  return { origin, path, method: 'GET', headers: {} }
+}
+
+async function list (store) {
+  const paths = []
+  for await (const entry of store.entries()) {
+    paths.push(`${entry.key.origin}${entry.key.path}`)
+  }
+  return paths
+}
+
+// Entries cached a minute apart, from now - 5 minutes to now - 1 minute
+async function createStore () {
+  const now = Date.now()
+  const store = new MemoryCacheStore({ cacheTagsHeader: 'cache-tag' })
+  await writeEntry(store, '/1', 'test-data', { cachedAt: now - 5 * 60000, headers: { 'cache-tag': 'shared' } })
+  await writeEntry(store, '/2', 'test-data', { cachedAt: now - 4 * 60000 })
+  await writeEntry(store, '/3', 'test-data', { cachedAt: now - 3 * 60000, headers: { 'cache-tag': 'shared' } })
+  await writeEntry(store, '/4', 'test-data', { origin: 'other.com', cachedAt: now - 2 * 60000 })
+  await writeEntry(store, '/5', 'test-data', { cachedAt: now - 60000, headers: { 'cache-tag': 'shared' } })
+  return { store, now }
+}
+
+describe('CachedAtIndex', () => {
+  test('finds the entries cached in a window', () => {
+    const index = new CachedAtIndex()
+    const entries = [3, 1, 2, 2, 5].map(cachedAt => ({ origin: 'example.com', cachedAt }))
+    for (const entry of entries) {
+      index.add(entry)
+    }
+
+    deepStrictEqual(index.between(undefined, 2, 5).map(entry => entry.cachedAt), [2, 2, 3])
+    index.delete(entries[3])
+    deepStrictEqual(index.between('example.com', -Infinity, Infinity), [entries[1], entries[2], entries[0], entries[4]])
+    deepStrictEqual(index.between('other.com', -Infinity, Infinity), [])
+  })
+})
+
+describe('deleteOlderThan and deleteNewerThan', () => {
+  test('delete the entries cached before or after a time', async () => {
+    const { store, now } = await createStore()
+
+    store.deleteOlderThan(now - 4 * 60000)
+    deepStrictEqual(await list(store), ['example.com/2', 'example.com/3', 'example.com/5', 'other.com/4'])
+
+    store.deleteNewerThan(new Date(now - 2 * 60000))
+    deepStrictEqual(await list(store), ['example.com/2', 'example.com/3'])
+    equal(store.getStats().count, 2)
+  })
+
+  test('delete exactly the entries cached in a window', async () => {
+    const { store, now } = await createStore()
+    const events = []
+    store.on('delete', ({ key, reason }) => events.push([key.path, reason]))
+
+    store.deleteNewerThan(now - 4 * 60000, { olderThan: now - 2 * 60000 })
+    deepStrictEqual(await list(store), ['example.com/1', 'example.com/5', 'other.com/4'])
+    // Unlike the other invalidations, entries sharing a tag are kept
+    deepStrictEqual(events, [['/2', 'time'], ['/3', 'time']])
+
+    store.deleteOlderThan(now, { newerThan: now - 2 * 60000 })
+    deepStrictEqual(await list(store), ['example.com/1'])
+  })
+
+  test('filter by origin and tag', async () => {
+    const { store, now } = await createStore()
+
+    store.deleteNewerThan(now - 3 * 60000, { origin: 'example.com' })
+    deepStrictEqual(await list(store), ['example.com/1', 'example.com/2', 'other.com/4'])
+
+    store.deleteOlderThan(now, { tag: 'shared' })
+    deepStrictEqual(await list(store), ['example.com/2', 'other.com/4'])
+  })
+
+  test('mark entries stale with a soft purge', async () => {
+    const { store, now } = await createStore()
+
+    store.deleteOlderThan(now - 3 * 60000, { soft: true })
+    equal(store.getStats().count, 5)
+    equal(store.getStats().softPurges, 2)
+    equal(store.get(createKey('/2')).staleAt < Date.now(), true)
+    equal(store.get(createKey('/3')).staleAt > Date.now(), true)
+  })
+
+  test('publish the invalidation', async () => {
+    const { store, now } = await createStore()
+    const invalidations = []
+    const onInvalidate = ({ store, ...message }) => invalidations.push(message)
+    channels.invalidate.subscribe(onInvalidate)
+    try {
+      store.deleteNewerThan(now, { origin: 'example.com' })
+    } finally {
+      channels.invalidate.unsubscribe(onInvalidate)
+    }
+
+    deepStrictEqual(invalidations, [{
+      type: 'time',
+      origin: 'example.com',
+      tag: undefined,
+      newerThan: now,
+      olderThan: undefined,
+      soft: false
+    }])
+  })
+
+  test('validate their arguments', () => {
+    const store = new MemoryCacheStore()
+    throws(() => store.deleteOlderThan('yesterday'), TypeError)
+    throws(() => store.deleteNewerThan(new Date('invalid')), TypeError)
+    throws(() => store.deleteNewerThan(0, { olderThan: '1' }), TypeError)
+    throws(() => store.deleteOlderThan(0, { origin: 1 }), TypeError)
+    throws(() => store.deleteOlderThan(0, { tag: ['a'] }), TypeError)
+    throws(() => store.deleteOlderThan(0, { soft: 'yes' }), TypeError)
+  })
+})
@@ -0,0 +1,102 @@
+'use strict'
+
+const { describe, test, after } = require('node:test')
+const { equal, deepStrictEqual } = require('node:assert')
+const { once } = require('node:events')
+const diagnosticsChannel = require('node:diagnostics_channel')
+const MemoryCacheStore = require('../index.js')
+const { createEntryValue } = require('./cache-store-test-utils.js')
+
+function subscribe (name) {
+  const messages = []
+  const onMessage = (message) => messages.push(message)
+  diagnosticsChannel.subscribe(name, onMessage)
+  after(() => diagnosticsChannel.unsubscribe(name, onMessage))
+  return messages
+}
+
+const key = { origin: 'example.com', path: '/', method: 'GET', headers: { 'accept-language': 'en' } }
+const value = createEntryValue({ vary: { 'accept-language': 'en' } })
+
+describe('diagnostics_channel', () => {
+  test('publishes lookups', async () => {
+    const store = new MemoryCacheStore()
+    const starts = subscribe('undici-cache-memory:lookup:start')
+    const ends = subscribe('undici-cache-memory:lookup:end')
+
+    store.get(key)
+    const writable = store.createWriteStream(key, value)
+    writable.end('asd')
+    await once(writable, 'close')
+    store.get(key)
+
+    equal(starts.length, 2)
+    equal(starts[0].store, store)
+    equal(starts[0].key, key)
+    deepStrictEqual(ends.map(({ outcome, vary, size }) => ({ outcome, vary, size })), [
+      { outcome: 'miss', vary: undefined, size: undefined },
+      { outcome: 'hit', vary: { 'accept-language': 'en' }, size: 3 }
+    ])
+  })
+
+  test('publishes write start and commit', async () => {
+    const store = new MemoryCacheStore()
+    const starts = subscribe('undici-cache-memory:write:start')
+    const commits = subscribe('undici-cache-memory:write:commit')
+    const aborts = subscribe('undici-cache-memory:write:abort')
+
+    const writable = store.createWriteStream(key, value)
+    writable.end('asd')
+    await once(writable, 'close')
+
+    equal(starts.length, 1)
+    equal(starts[0].value, value)
+    equal(commits.length, 1)
+    equal(commits[0].size, 3)
+    deepStrictEqual(commits[0].vary, { 'accept-language': 'en' })
+    equal(aborts.length, 0)
+  })
+
+  test('publishes write aborts', async () => {
+    const store = new MemoryCacheStore({ maxEntrySize: 5, maxCount: 0 })
+    const aborts = subscribe('undici-cache-memory:write:abort')
+
+    {
+      const writable = store.createWriteStream(key, value)
+      writable.end('too large')
+      await once(writable, 'close')
+    }
+
+    {
+      const writable = store.createWriteStream(key, value)
+      writable.end('asd')
+      await once(writable, 'close')
+    }
+
+    {
+      const writable = store.createWriteStream(key, value)
+      const closed = new Promise(resolve => writable.on('close', resolve))
+      writable.on('error', () => {})
+      writable.write('a')
+      writable.destroy(new Error('kaboom'))
+      await closed
+    }
+
+    deepStrictEqual(aborts.map(({ reason }) => reason), ['max-entry-size', 'max-count', 'error'])
+    equal(aborts[2].error.message, 'kaboom')
+  })
+
+  test('publishes invalidations', () => {
+    const store = new MemoryCacheStore()
+    const invalidations = subscribe('undici-cache-memory:invalidate')
+
+    store.delete({ origin: 'example.com', path: '/', method: 'GET' })
+    store.deleteKeys([{ origin: 'example.com', path: '/a', method: 'GET' }])
+    store.deleteTags(['tag'], { origin: 'example.com' })
+    store.deletePaths({ origin: 'example.com', prefix: '/' })
+
+    deepStrictEqual(invalidations.map(({ type }) => type), ['key', 'key', 'tag', 'path'])
+    deepStrictEqual(invalidations[2].tags, ['tag'])
+    equal(invalidations[2].origin, 'example.com')
+  })
+})
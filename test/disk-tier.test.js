@@ -0,0 +1,144 @@
+'use strict'
+
+const { describe, test, after } = require('node:test')
+const { equal, deepStrictEqual, throws } = require('node:assert')
+const { mkdtemp, rm, readdir } = require('node:fs/promises')
+const { tmpdir } = require('node:os')
+const { join } = require('node:path')
+const MemoryCacheStore = require('../index.js')
+const { writeEntry } = require('./cache-store-test-utils.js')
+
+function get (store, path, origin = 'example.com') {
+  return store.get({ origin, path, method: 'GET', headers: {} })
+}
+
+async function tmpDir () {
+  const dir = await mkdtemp(join(tmpdir(), 'undici-cache-memory-test-'))
+  after(() => rm(dir, { recursive: true, force: true }))
+  return dir
+}
+
+async function createStore (opts) {
+  const store = new MemoryCacheStore({ maxCount: 1, diskPath: await tmpDir(), ...opts })
+  after(() => store.close())
+  return store
+}
+
+describe('disk tier', () => {
+  test('validates options', () => {
+    throws(() => new MemoryCacheStore({ diskPath: '' }), TypeError)
+    throws(() => new MemoryCacheStore({ diskPath: 42 }), TypeError)
+    throws(() => new MemoryCacheStore({ diskPath: '/tmp', maxDiskSize: -1 }), TypeError)
+    throws(() => new MemoryCacheStore({ diskPath: '/tmp', maxDiskSize: 1.5 }), TypeError)
+  })
+
+  test('demotes evicted entries and promotes them back on get', async () => {
+    const store = await createStore()
+    const events = []
+    store.on('demote', ({ key, reason }) => events.push(['demote', key.path, reason]))
+    store.on('promote', ({ key, reason }) => events.push(['promote', key.path, reason]))
+
+    await writeEntry(store, '/a', 'first', { headers: { 'content-type': 'text/plain' } })
+    await writeEntry(store, '/b', 'second')
+    equal(get(store, '/a') instanceof Promise, true)
+
+    const result = await get(store, '/a')
+    equal(Buffer.concat(result.body).toString(), 'first')
+    equal(result.statusCode, 200)
+    deepStrictEqual(result.headers, { 'content-type': 'text/plain' })
+
+    // Back in memory, which pushed /b to disk
+    equal(get(store, '/a') instanceof Promise, false)
+    equal(Buffer.concat((await get(store, '/b')).body).toString(), 'second')
+
+    deepStrictEqual(events, [
+      ['demote', '/a', 'max-count'],
+      ['promote', '/a', 'lookup'],
+      ['demote', '/b', 'max-count'],
+      ['promote', '/b', 'lookup'],
+      ['demote', '/a', 'max-count']
+    ])
+    const stats = store.getStats()
+    equal(stats.demotions, 3)
+    equal(stats.promotions, 2)
+    equal(stats.count, 1)
+  })
+
+  test('resolves to undefined when the entry is not on disk either', async () => {
+    const store = await createStore()
+    await writeEntry(store, '/a')
+    equal(await get(store, '/missing'), undefined)
+    equal(store.getStats().misses, 1)
+  })
+
+  test('does not demote expired entries', async () => {
+    const store = await createStore()
+    await writeEntry(store, '/a', 'first', { deleteAt: Date.now() - 1 })
+    await writeEntry(store, '/b')
+    equal(store.getStats().demotions, 0)
+    equal(await get(store, '/a'), undefined)
+  })
+
+  test('removes the oldest entries over maxDiskSize', async () => {
+    const store = await createStore({ maxDiskSize: 10 })
+    await writeEntry(store, '/a', 'aaaaa')
+    await writeEntry(store, '/b', 'bbbbb')
+    await writeEntry(store, '/c', 'ccccc')
+    await writeEntry(store, '/d', 'ddddd')
+
+    equal(await get(store, '/a'), undefined)
+    equal(Buffer.concat((await get(store, '/c')).body).toString(), 'ccccc')
+  })
+
+  test('invalidates entries on disk', async () => {
+    const store = await createStore({ cacheTagsHeader: 'cache-tag' })
+    await writeEntry(store, '/key')
+    await writeEntry(store, '/tagged', 'test-data', { headers: { 'cache-tag': 'products' } })
+    await writeEntry(store, '/api/users')
+    await writeEntry(store, '/kept')
+
+    store.delete({ origin: 'example.com', path: '/key' })
+    store.deleteTags(['products'])
+    store.deletePaths({ origin: 'example.com', glob: '/api/*' })
+
+    equal(await get(store, '/key'), undefined)
+    equal(await get(store, '/tagged'), undefined)
+    equal(await get(store, '/api/users'), undefined)
+    equal(get(store, '/kept') instanceof Promise, false)
+  })
+
+  test('marks entries on disk stale with a soft purge', async () => {
+    const store = await createStore({ cacheTagsHeader: 'cache-tag' })
+    await writeEntry(store, '/tagged', 'test-data', { headers: { 'cache-tag': 'products' } })
+    await writeEntry(store, '/kept')
+
+    store.deleteTags(['products'], { soft: true })
+
+    const result = await get(store, '/tagged')
+    equal(Buffer.concat(result.body).toString(), 'test-data')
+    equal(result.staleAt < Date.now(), true)
+  })
+
+  test('does not promote an outdated variant', async () => {
+    const store = await createStore()
+    await writeEntry(store, '/a', 'old')
+    await writeEntry(store, '/b')
+    await writeEntry(store, '/a', 'new')
+    await writeEntry(store, '/b')
+
+    equal(Buffer.concat((await get(store, '/a')).body).toString(), 'new')
+  })
+
+  test('removes its directory on close', async () => {
+    const diskPath = await tmpDir()
+    const store = new MemoryCacheStore({ maxCount: 1, diskPath })
+    await writeEntry(store, '/a')
+    await writeEntry(store, '/b')
+    // Waits for /a to be written
+    await get(store, '/a')
+    equal((await readdir(diskPath)).length, 1)
+
+    await store.close()
+    deepStrictEqual(await readdir(diskPath), [])
+  })
+})
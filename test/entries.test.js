@@ -0,0 +1,126 @@
+'use strict'
+
+const { describe, test } = require('node:test')
+const { equal, deepStrictEqual, rejects } = require('node:assert')
+const FakeTimers = require('@sinonjs/fake-timers')
+const MemoryCacheStore = require('../index.js')
+const { writeEntry } = require('./cache-store-test-utils.js')
+
+async function list (store, opts) {
+  const keys = []
+  for await (const entry of store.entries(opts)) {
+    keys.push(`${entry.key.method} ${entry.key.origin}${entry.key.path}`)
+  }
+  return keys
+}
+
+async function createStore (opts) {
+  const store = new MemoryCacheStore({ cacheTagsHeader: 'cache-tag', ...opts })
+  await writeEntry(store, '/products/1', '/products/1', { origin: 'https://example.com', headers: { 'cache-tag': 'products,product-1' } })
+  await writeEntry(store, '/products/2', '/products/2', { origin: 'https://example.com', headers: { 'cache-tag': 'products' } })
+  await writeEntry(store, '/products/2', '/products/2', { origin: 'https://example.com', method: 'HEAD' })
+  await writeEntry(store, '/users/1', '/users/1', { origin: 'https://example.com' })
+  await writeEntry(store, '/products/1', '/products/1', { origin: 'https://other.com', headers: { 'cache-tag': 'products' } })
+  return store
+}
+
+describe('entries', () => {
+  test('yields the key and metadata of every entry', async () => {
+    const store = new MemoryCacheStore({ cacheTagsHeader: 'cache-tag' })
+    await writeEntry(store, '/a', '/a', {
+      origin: 'https://example.com',
+      vary: { 'accept-language': 'en' },
+      requestHeaders: { 'accept-language': 'en' },
+      headers: { 'cache-tag': 'a' },
+      etag: '"a"'
+    })
+
+    const entries = []
+    for await (const entry of store.entries()) {
+      entries.push(entry)
+    }
+
+    equal(entries.length, 1)
+    const [entry] = entries
+    deepStrictEqual(entry.key, { origin: 'https://example.com', path: '/a', method: 'GET' })
+    equal(entry.statusCode, 200)
+    equal(entry.size, 2)
+    deepStrictEqual(entry.vary, { 'accept-language': 'en' })
+    equal(entry.etag, '"a"')
+    deepStrictEqual(entry.cacheTags, ['a'])
+    equal(typeof entry.cachedAt, 'number')
+    equal(entry.staleAt, entry.cachedAt + 3600000)
+    equal(entry.deleteAt, entry.cachedAt + 7200000)
+    equal(entry.body, undefined)
+  })
+
+  test('filters by origin, path prefix, method and tag', async () => {
+    const store = await createStore()
+
+    deepStrictEqual(await list(store, { origin: 'https://other.com' }), ['GET https://other.com/products/1'])
+    deepStrictEqual(await list(store, { origin: 'https://example.com', pathPrefix: '/products/' }), [
+      'GET https://example.com/products/1',
+      'GET https://example.com/products/2',
+      'HEAD https://example.com/products/2'
+    ])
+    deepStrictEqual(await list(store, { pathPrefix: '/products/1' }), [
+      'GET https://example.com/products/1',
+      'GET https://other.com/products/1'
+    ])
+    deepStrictEqual(await list(store, { method: 'HEAD' }), ['HEAD https://example.com/products/2'])
+    deepStrictEqual(await list(store, { tag: 'products' }), [
+      'GET https://example.com/products/1',
+      'GET https://example.com/products/2',
+      'GET https://other.com/products/1'
+    ])
+    deepStrictEqual(await list(store, { tag: 'products', origin: 'https://example.com', pathPrefix: '/products/2' }), [
+      'GET https://example.com/products/2'
+    ])
+    deepStrictEqual(await list(store, { tag: 'missing' }), [])
+  })
+
+  test('skips expired entries unless includeExpired is set', async () => {
+    const clock = FakeTimers.install({ toFake: ['Date'] })
+    try {
+      const store = new MemoryCacheStore()
+      await writeEntry(store, '/short', '/short', { origin: 'https://example.com', staleAt: Date.now() + 1000, deleteAt: Date.now() + 1000 })
+      await writeEntry(store, '/long', '/long', { origin: 'https://example.com' })
+      clock.tick(2000)
+
+      deepStrictEqual(await list(store), ['GET https://example.com/long'])
+      deepStrictEqual(await list(store, { includeExpired: true }), [
+        'GET https://example.com/long',
+        'GET https://example.com/short'
+      ])
+    } finally {
+      clock.uninstall()
+    }
+  })
+
+  test('loads bodies with includeBody', async () => {
+    const store = new MemoryCacheStore({ compress: { algorithm: 'gzip', minSize: 0 } })
+    await writeEntry(store, '/a', 'hello', { origin: 'https://example.com' })
+
+    for await (const entry of store.entries({ includeBody: true })) {
+      equal(Buffer.concat(entry.body).toString(), 'hello')
+    }
+  })
+
+  test('skips the entries deleted while iterating', async () => {
+    const store = await createStore()
+    const keys = []
+    for await (const entry of store.entries({ origin: 'https://example.com' })) {
+      keys.push(entry.key.path)
+      store.delete({ origin: 'https://example.com', path: '/users/1' })
+    }
+    deepStrictEqual(keys, ['/products/1', '/products/2', '/products/2'])
+  })
+
+  test('validates its options', async () => {
+    const store = new MemoryCacheStore()
+    await rejects(store.entries(null).next(), TypeError)
+    await rejects(store.entries({ origin: 1 }).next(), TypeError)
+    await rejects(store.entries({ pathPrefix: /a/ }).next(), TypeError)
+    await rejects(store.entries({ includeExpired: 'yes' }).next(), TypeError)
+  })
+})
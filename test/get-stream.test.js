@@ -0,0 +1,119 @@
+'use strict'
+
+const { describe, test } = require('node:test')
+const { equal, deepStrictEqual, throws } = require('node:assert')
+const { once } = require('node:events')
+const { Readable } = require('node:stream')
+const { text } = require('node:stream/consumers')
+const MemoryCacheStore = require('../index.js')
+const { writeEntry } = require('./cache-store-test-utils.js')
+
+function createKey (path) {
+  return { origin: 'example.com', path, method: 'GET', headers: {} }
+}
+
+describe('getStream', () => {
+  test('returns the entry with its body as a stream', async () => {
+    const store = new MemoryCacheStore()
+    await writeEntry(store, '/a', 'hello world', { headers: { 'content-type': 'text/plain' } })
+
+    const result = store.getStream(createKey('/a'))
+    equal(result.statusCode, 200)
+    deepStrictEqual(result.headers, { 'content-type': 'text/plain' })
+    equal(result.body instanceof Readable, true)
+    equal(await text(result.body), 'hello world')
+
+    equal(store.getStream(createKey('/missing')), undefined)
+    deepStrictEqual(
+      { hits: store.getStats().hits, misses: store.getStats().misses },
+      { hits: 1, misses: 1 }
+    )
+  })
+
+  test('validates its arguments', () => {
+    const store = new MemoryCacheStore()
+    throws(() => store.getStream('/a'), TypeError)
+    throws(() => store.getStream(createKey('/a'), { highWaterMark: 0 }), TypeError)
+    throws(() => store.getStream(createKey('/a'), { highWaterMark: 1.5 }), TypeError)
+  })
+
+  test('reads no more than highWaterMark ahead of the consumer', async () => {
+    const store = new MemoryCacheStore()
+    await writeEntry(store, '/a', 'x'.repeat(1000))
+
+    const { body } = store.getStream(createKey('/a'), { highWaterMark: 100 })
+    body.read(0)
+    await new Promise(resolve => setImmediate(resolve))
+    equal(body.readableLength, 100)
+
+    const chunks = []
+    body.on('data', chunk => chunks.push(chunk.byteLength))
+    await once(body, 'end')
+    deepStrictEqual(chunks, Array(10).fill(100))
+  })
+
+  test('keeps the entry from being evicted until the stream is done', async () => {
+    const store = new MemoryCacheStore({ maxCount: 2 })
+    await writeEntry(store, '/a', 'a')
+    await writeEntry(store, '/b', 'b')
+
+    const { body } = store.getStream(createKey('/a'), { highWaterMark: 1 })
+    // Evicts /b, although /a is the least recently used
+    await writeEntry(store, '/c', 'c')
+    equal(store.get(createKey('/b')), undefined)
+    equal(await text(body), 'a')
+
+    // Back in the policy as if it was just used
+    await writeEntry(store, '/d', 'd')
+    equal(store.get(createKey('/c')), undefined)
+    equal(Buffer.concat(store.get(createKey('/a')).body).toString(), 'a')
+  })
+
+  test('rejects writes that only pinned entries could make room for', async () => {
+    const store = new MemoryCacheStore({ maxCount: 1 })
+    await writeEntry(store, '/a', 'a')
+
+    const { body } = store.getStream(createKey('/a'))
+    await writeEntry(store, '/b', 'b')
+    equal(store.get(createKey('/b')), undefined)
+    equal(store.getStats().rejectedWrites, 1)
+
+    await text(body)
+    await writeEntry(store, '/b', 'b')
+    equal(store.get(createKey('/a')), undefined)
+    equal(Buffer.concat(store.get(createKey('/b')).body).toString(), 'b')
+  })
+
+  test('unpins the entry when the stream is destroyed early', async () => {
+    const store = new MemoryCacheStore({ maxCount: 1 })
+    await writeEntry(store, '/a', 'a'.repeat(100))
+
+    const { body } = store.getStream(createKey('/a'), { highWaterMark: 10 })
+    body.destroy()
+    await once(body, 'close')
+
+    await writeEntry(store, '/b', 'b')
+    equal(store.get(createKey('/a')), undefined)
+  })
+
+  test('keeps streaming entries deleted meanwhile', async () => {
+    const store = new MemoryCacheStore()
+    await writeEntry(store, '/a', 'still readable')
+
+    const { body } = store.getStream(createKey('/a'), { highWaterMark: 4 })
+    store.delete(createKey('/a'))
+    equal(store.getStats().count, 0)
+
+    equal(await text(body), 'still readable')
+    equal(store.get(createKey('/a')), undefined)
+  })
+
+  test('decompresses compressed bodies as they are read', async () => {
+    const store = new MemoryCacheStore({ compress: { algorithm: 'gzip', minSize: 0 } })
+    const body = JSON.stringify(Array.from({ length: 500 }, (_, i) => ({ id: i })))
+    await writeEntry(store, '/a', body)
+
+    const result = store.getStream(createKey('/a'), { highWaterMark: 256 })
+    equal(await text(result.body), body)
+  })
+})
@@ -1,11 +1,12 @@
 'use strict'
 
-const { describe, test } = require('node:test')
-const { deepStrictEqual, notEqual, equal } = require('node:assert')
+const { describe, test, after } = require('node:test')
+const { deepStrictEqual, notEqual, equal, throws } = require('node:assert')
 const { Readable } = require('node:stream')
 const { once } = require('node:events')
+const FakeTimers = require('@sinonjs/fake-timers')
 const MemoryCacheStore = require('../index.js')
-const { cacheStoreTests } = require('./cache-store-test-utils.js')
+const { cacheStoreTests, writeEntry, has } = require('./cache-store-test-utils.js')
 
 cacheStoreTests(MemoryCacheStore)
 
@@ -77,3 +78,529 @@ describe('MemoryCacheStore defaults', () => {
     equal(retrieved, undefined)
   })
 })
+
+describe('MemoryCacheStore LRU eviction', () => {
+  test('evicts only the least recently used entry when maxCount is exceeded', async () => {
+    const store = new MemoryCacheStore({ maxCount: 3 })
+
+    await writeEntry(store, '/a')
+    await writeEntry(store, '/b')
+    await writeEntry(store, '/c')
+
+    // Touch /a so /b becomes the least recently used entry
+    equal(has(store, '/a'), true)
+
+    await writeEntry(store, '/d')
+
+    equal(has(store, '/a'), true)
+    equal(has(store, '/b'), false)
+    equal(has(store, '/c'), true)
+    equal(has(store, '/d'), true)
+  })
+
+  test('evicts as many entries as needed to get under maxSize', async () => {
+    const store = new MemoryCacheStore({ maxSize: 30 })
+
+    await writeEntry(store, '/a', 'x'.repeat(10))
+    await writeEntry(store, '/b', 'x'.repeat(10))
+    await writeEntry(store, '/c', 'x'.repeat(10))
+
+    equal(has(store, '/a'), true)
+
+    await writeEntry(store, '/d', 'x'.repeat(20))
+
+    equal(has(store, '/a'), true)
+    equal(has(store, '/b'), false)
+    equal(has(store, '/c'), false)
+    equal(has(store, '/d'), true)
+  })
+
+  test('keeps every other entry when the 1025th entry is written', async () => {
+    const store = new MemoryCacheStore()
+
+    for (let i = 0; i < 1025; i++) {
+      await writeEntry(store, `/test-${i}`)
+    }
+
+    equal(has(store, '/test-0'), false)
+    for (let i = 1; i < 1025; i++) {
+      equal(has(store, `/test-${i}`), true)
+    }
+  })
+})
+
+// Only fake what the sweeper uses, so that streams still close
+const sweeperTimers = ['setInterval', 'clearInterval', 'Date']
+
+describe('MemoryCacheStore expiration sweeper', () => {
+  test('validates sweepInterval', () => {
+    throws(() => new MemoryCacheStore({ sweepInterval: 0 }), TypeError)
+    throws(() => new MemoryCacheStore({ sweepInterval: '1000' }), TypeError)
+  })
+
+  test('removes entries past deleteAt', async () => {
+    const clock = FakeTimers.install({ toFake: sweeperTimers })
+    after(() => clock.uninstall())
+
+    const deleted = []
+    const policy = new MemoryCacheStore.LRUPolicy()
+    const onDelete = policy.onDelete.bind(policy)
+    policy.onDelete = (entry) => {
+      deleted.push(entry.path)
+      onDelete(entry)
+    }
+
+    const store = new MemoryCacheStore({ sweepInterval: 1000, policy })
+    after(() => store.close())
+
+    await writeEntry(store, '/short', 'test-data', { deleteAt: Date.now() + 500 })
+    await writeEntry(store, '/long', 'test-data', { deleteAt: Date.now() + 5000 })
+
+    clock.tick(1000)
+    deepStrictEqual(deleted, ['/short'])
+
+    clock.tick(5000)
+    deepStrictEqual(deleted, ['/short', '/long'])
+  })
+
+  test('close() stops the sweeper', async () => {
+    const clock = FakeTimers.install({ toFake: sweeperTimers })
+    after(() => clock.uninstall())
+
+    const store = new MemoryCacheStore({ sweepInterval: 1000 })
+    equal(clock.countTimers(), 1)
+
+    store.close()
+    equal(clock.countTimers(), 0)
+
+    // Closing twice is harmless
+    store.close()
+  })
+
+  test('unlinks swept entries from their cache tags', async () => {
+    const clock = FakeTimers.install({ toFake: sweeperTimers })
+    after(() => clock.uninstall())
+
+    const store = new MemoryCacheStore({ sweepInterval: 1000, cacheTagsHeader: 'cache-tag' })
+    after(() => store.close())
+
+    await writeEntry(store, '/a', 'test-data', {
+      headers: { 'cache-tag': 'shared' },
+      deleteAt: Date.now() + 500
+    })
+    clock.tick(1000)
+
+    // Same route, no longer tagged
+    await writeEntry(store, '/a', 'test-data', { headers: { 'cache-tag': 'other' } })
+    store.deleteTags(['shared'])
+
+    equal(has(store, '/a'), true)
+  })
+})
+
+describe('MemoryCacheStore origin limits', () => {
+  test('validates originLimits', () => {
+    throws(() => new MemoryCacheStore({ originLimits: 'nope' }), TypeError)
+    throws(() => new MemoryCacheStore({ originLimits: { default: { maxCount: -1 } } }), TypeError)
+    throws(() => new MemoryCacheStore({ originLimits: { origins: { 'a.com': { maxSize: 1.5 } } } }), TypeError)
+  })
+
+  test('evicts inside the origin that is over its own limit', async () => {
+    const store = new MemoryCacheStore({
+      maxCount: 10,
+      originLimits: {
+        origins: { 'noisy.com': { maxCount: 2 } }
+      }
+    })
+
+    await writeEntry(store, '/a', 'test-data', { origin: 'quiet.com' })
+    await writeEntry(store, '/1', 'test-data', { origin: 'noisy.com' })
+    await writeEntry(store, '/2', 'test-data', { origin: 'noisy.com' })
+    await writeEntry(store, '/3', 'test-data', { origin: 'noisy.com' })
+
+    equal(has(store, '/a', 'quiet.com'), true)
+    equal(has(store, '/1', 'noisy.com'), false)
+    equal(has(store, '/2', 'noisy.com'), true)
+    equal(has(store, '/3', 'noisy.com'), true)
+  })
+
+  test('applies the default limits to every origin', async () => {
+    const store = new MemoryCacheStore({
+      originLimits: {
+        default: { maxSize: 20 },
+        origins: { 'big.com': { maxSize: 100 } }
+      }
+    })
+
+    await writeEntry(store, '/a', 'x'.repeat(10), { origin: 'small.com' })
+    await writeEntry(store, '/b', 'x'.repeat(15), { origin: 'small.com' })
+    await writeEntry(store, '/a', 'x'.repeat(10), { origin: 'big.com' })
+    await writeEntry(store, '/b', 'x'.repeat(15), { origin: 'big.com' })
+
+    equal(has(store, '/a', 'small.com'), false)
+    equal(has(store, '/b', 'small.com'), true)
+    equal(has(store, '/a', 'big.com'), true)
+    equal(has(store, '/b', 'big.com'), true)
+  })
+
+  test('does not store an entry larger than its origin limit', async () => {
+    const store = new MemoryCacheStore({
+      originLimits: { default: { maxSize: 5 } }
+    })
+
+    await writeEntry(store, '/a', 'x'.repeat(3))
+    await writeEntry(store, '/b', 'x'.repeat(10))
+
+    equal(has(store, '/a'), true)
+    equal(has(store, '/b'), false)
+  })
+
+  for (const policy of ['lru', 'lfu', 'w-tinylfu', 'gdsf']) {
+    test(`${policy} evicts within the origin`, async () => {
+      const store = new MemoryCacheStore({
+        policy,
+        originLimits: { origins: { 'noisy.com': { maxCount: 1 } } }
+      })
+
+      await writeEntry(store, '/a', 'test-data', { origin: 'quiet.com' })
+      await writeEntry(store, '/1', 'test-data', { origin: 'noisy.com' })
+      await writeEntry(store, '/2', 'test-data', { origin: 'noisy.com' })
+
+      equal(has(store, '/a', 'quiet.com'), true)
+      equal(has(store, '/1', 'noisy.com') || has(store, '/2', 'noisy.com'), true)
+      equal(has(store, '/1', 'noisy.com') && has(store, '/2', 'noisy.com'), false)
+    })
+  }
+})
+
+describe('MemoryCacheStore cache tags', () => {
+  const tagged = (tag) => ({ headers: { 'cache-tag': tag } })
+
+  test('deleteTags purges every origin by default', async () => {
+    const store = new MemoryCacheStore({ cacheTagsHeader: 'cache-tag' })
+
+    await writeEntry(store, '/a', 'test-data', { origin: 'one.com', ...tagged('user-42') })
+    await writeEntry(store, '/a', 'test-data', { origin: 'two.com', ...tagged('user-42') })
+
+    store.deleteTags(['user-42'])
+
+    equal(has(store, '/a', 'one.com'), false)
+    equal(has(store, '/a', 'two.com'), false)
+  })
+
+  test('deleteTags with an origin only purges that origin', async () => {
+    const store = new MemoryCacheStore({ cacheTagsHeader: 'cache-tag' })
+
+    await writeEntry(store, '/a', 'test-data', { origin: 'one.com', ...tagged('user-42') })
+    await writeEntry(store, '/a', 'test-data', { origin: 'two.com', ...tagged('user-42') })
+
+    store.deleteTags(['user-42'], { origin: 'one.com' })
+
+    equal(has(store, '/a', 'one.com'), false)
+    equal(has(store, '/a', 'two.com'), true)
+  })
+
+  test('cacheTagsScope origin requires an origin', () => {
+    throws(() => new MemoryCacheStore({ cacheTagsScope: 'path' }), TypeError)
+
+    const store = new MemoryCacheStore({ cacheTagsHeader: 'cache-tag', cacheTagsScope: 'origin' })
+    throws(() => store.deleteTags(['user-42']), TypeError)
+    throws(() => store.deleteTags(['user-42'], { origin: 42 }), TypeError)
+  })
+
+  test('cacheTagsScope origin keeps deleteKeys from purging other origins', async () => {
+    const store = new MemoryCacheStore({ cacheTagsHeader: 'cache-tag', cacheTagsScope: 'origin' })
+
+    await writeEntry(store, '/a', 'test-data', { origin: 'one.com', ...tagged('user-42') })
+    await writeEntry(store, '/b', 'test-data', { origin: 'one.com', ...tagged('user-42') })
+    await writeEntry(store, '/a', 'test-data', { origin: 'two.com', ...tagged('user-42') })
+
+    store.deleteKeys([{ origin: 'one.com', path: '/a', method: 'GET' }])
+
+    equal(has(store, '/a', 'one.com'), false)
+    equal(has(store, '/b', 'one.com'), false)
+    equal(has(store, '/a', 'two.com'), true)
+  })
+})
+
+describe('MemoryCacheStore deletePaths', () => {
+  async function fill (store) {
+    await writeEntry(store, '/catalog/shoes')
+    await writeEntry(store, '/catalog/shoes?color=red')
+    await writeEntry(store, '/catalog/shoes/boots')
+    await writeEntry(store, '/catalog/shirts')
+    await writeEntry(store, '/catalog/shoes', 'test-data', { origin: 'other.com' })
+  }
+
+  test('validates options', () => {
+    const store = new MemoryCacheStore()
+    throws(() => store.deletePaths(), TypeError)
+    throws(() => store.deletePaths({ prefix: '/' }), TypeError)
+    throws(() => store.deletePaths({ origin: 'example.com' }), TypeError)
+    throws(() => store.deletePaths({ origin: 'example.com', prefix: '/', glob: '/*' }), TypeError)
+    throws(() => store.deletePaths({ origin: 'example.com', regexp: '^/' }), TypeError)
+  })
+
+  test('deletes by prefix', async () => {
+    const store = new MemoryCacheStore()
+    await fill(store)
+
+    store.deletePaths({ origin: 'example.com', prefix: '/catalog/shoes' })
+
+    equal(has(store, '/catalog/shoes'), false)
+    equal(has(store, '/catalog/shoes?color=red'), false)
+    equal(has(store, '/catalog/shoes/boots'), false)
+    equal(has(store, '/catalog/shirts'), true)
+    equal(has(store, '/catalog/shoes', 'other.com'), true)
+  })
+
+  test('deletes by glob', async () => {
+    const store = new MemoryCacheStore()
+    await fill(store)
+
+    store.deletePaths({ origin: 'example.com', glob: '/catalog/sh*' })
+
+    equal(has(store, '/catalog/shoes'), false)
+    equal(has(store, '/catalog/shoes?color=red'), false)
+    equal(has(store, '/catalog/shoes/boots'), true)
+    equal(has(store, '/catalog/shirts'), false)
+
+    store.deletePaths({ origin: 'example.com', glob: '/catalog/**' })
+    equal(has(store, '/catalog/shoes/boots'), false)
+  })
+
+  test('deletes by regexp', async () => {
+    const store = new MemoryCacheStore()
+    await fill(store)
+
+    store.deletePaths({ origin: 'example.com', regexp: /\?color=/g })
+
+    equal(has(store, '/catalog/shoes'), true)
+    equal(has(store, '/catalog/shoes?color=red'), false)
+  })
+
+  test('only deletes the given method', async () => {
+    const store = new MemoryCacheStore()
+    await fill(store)
+
+    store.deletePaths({ origin: 'example.com', prefix: '/catalog', method: 'HEAD' })
+    equal(has(store, '/catalog/shoes'), true)
+
+    store.deletePaths({ origin: 'example.com', prefix: '/catalog', method: 'GET' })
+    equal(has(store, '/catalog/shoes'), false)
+  })
+})
+
+describe('MemoryCacheStore events', () => {
+  function record (store, events) {
+    const recorded = []
+    for (const event of events) {
+      store.on(event, ({ key, size, reason }) => {
+        recorded.push([event, key.origin, key.path, size, reason])
+      })
+    }
+    return recorded
+  }
+
+  test('emits hit, miss and store', async () => {
+    const store = new MemoryCacheStore()
+    const recorded = record(store, ['hit', 'miss', 'store'])
+
+    has(store, '/a')
+    await writeEntry(store, '/a')
+    has(store, '/a')
+    await writeEntry(store, '/a', 'other-data')
+
+    deepStrictEqual(recorded, [
+      ['miss', 'example.com', '/a', undefined, 'not-found'],
+      ['store', 'example.com', '/a', 9, 'new'],
+      ['hit', 'example.com', '/a', 9, 'fresh'],
+      ['store', 'example.com', '/a', 10, 'replace']
+    ])
+  })
+
+  test('emits evict with the limit that was hit', async () => {
+    const store = new MemoryCacheStore({
+      maxCount: 2,
+      originLimits: { origins: { 'noisy.com': { maxSize: 10 } } }
+    })
+    const recorded = record(store, ['evict'])
+
+    await writeEntry(store, '/a')
+    await writeEntry(store, '/b')
+    await writeEntry(store, '/c')
+    await writeEntry(store, '/1', 'x'.repeat(10), { origin: 'noisy.com' })
+    await writeEntry(store, '/2', 'x'.repeat(10), { origin: 'noisy.com' })
+
+    deepStrictEqual(recorded, [
+      ['evict', 'example.com', '/a', 9, 'max-count'],
+      ['evict', 'example.com', '/b', 9, 'max-count'],
+      ['evict', 'noisy.com', '/1', 10, 'origin-max-size']
+    ])
+  })
+
+  test('emits delete with the invalidation that caused it', async () => {
+    const store = new MemoryCacheStore({ cacheTagsHeader: 'cache-tag' })
+    const recorded = record(store, ['delete'])
+
+    await writeEntry(store, '/a')
+    await writeEntry(store, '/b', 'test-data', { headers: { 'cache-tag': 't' } })
+    await writeEntry(store, '/c/d')
+    await writeEntry(store, '/a', 'other-data')
+
+    store.deleteKeys([{ origin: 'example.com', path: '/a', method: 'GET' }])
+    store.deleteTags(['t'])
+    store.deletePaths({ origin: 'example.com', prefix: '/c/' })
+
+    deepStrictEqual(recorded, [
+      ['delete', 'example.com', '/a', 9, 'replace'],
+      ['delete', 'example.com', '/a', 10, 'key'],
+      ['delete', 'example.com', '/b', 9, 'tag'],
+      ['delete', 'example.com', '/c/d', 9, 'path']
+    ])
+  })
+
+  test('emits expire from the sweeper', async () => {
+    const clock = FakeTimers.install({ toFake: sweeperTimers })
+    after(() => clock.uninstall())
+
+    const store = new MemoryCacheStore({ sweepInterval: 1000 })
+    after(() => store.close())
+    const recorded = record(store, ['expire'])
+
+    await writeEntry(store, '/a', 'test-data', { deleteAt: Date.now() + 500 })
+    clock.tick(1000)
+
+    deepStrictEqual(recorded, [['expire', 'example.com', '/a', 9, 'sweep']])
+  })
+})
+
+describe('MemoryCacheStore getStats', () => {
+  test('starts empty', () => {
+    const store = new MemoryCacheStore()
+    deepStrictEqual(store.getStats(), {
+      hits: 0,
+      misses: 0,
+      staleHits: 0,
+      writes: 0,
+      rejectedWrites: 0,
+      evictions: 0,
+      evictionsByReason: {},
+      expirations: 0,
+      deletions: 0,
+      softPurges: 0,
+      demotions: 0,
+      promotions: 0,
+      size: 0,
+      count: 0,
+      dedupRatio: 1,
+      origins: {}
+    })
+  })
+
+  test('counts every operation globally and per origin', async () => {
+    const store = new MemoryCacheStore({ maxCount: 2, maxEntrySize: 20 })
+
+    await writeEntry(store, '/a')
+    await writeEntry(store, '/b', 'test-data', { origin: 'other.com' })
+    await writeEntry(store, '/c')
+    await writeEntry(store, '/big', 'x'.repeat(30))
+    has(store, '/c')
+    has(store, '/missing')
+    has(store, '/b', 'other.com')
+    store.delete({ origin: 'example.com', path: '/c', method: 'GET' })
+
+    const stats = store.getStats()
+    deepStrictEqual(stats.origins['example.com'], {
+      hits: 1,
+      misses: 1,
+      staleHits: 0,
+      writes: 2,
+      rejectedWrites: 1,
+      evictions: 1,
+      evictionsByReason: { 'max-count': 1 },
+      expirations: 0,
+      deletions: 1,
+      softPurges: 0,
+      demotions: 0,
+      promotions: 0,
+      size: 0,
+      count: 0
+    })
+    deepStrictEqual(stats.origins['other.com'], {
+      hits: 1,
+      misses: 0,
+      staleHits: 0,
+      writes: 1,
+      rejectedWrites: 0,
+      evictions: 0,
+      evictionsByReason: {},
+      expirations: 0,
+      deletions: 0,
+      softPurges: 0,
+      demotions: 0,
+      promotions: 0,
+      size: 9,
+      count: 1
+    })
+    equal(stats.hits, 2)
+    equal(stats.writes, 3)
+    equal(stats.size, 9)
+    equal(stats.count, 1)
+  })
+
+  test('folds the least recently seen origins past maxStatsOrigins', async () => {
+    const store = new MemoryCacheStore({ maxStatsOrigins: 2 })
+
+    await writeEntry(store, '/a', 'test-data', { origin: 'a.com' })
+    has(store, '/', 'b.com')
+    has(store, '/a', 'a.com')
+    has(store, '/', 'c.com')
+
+    let { origins } = store.getStats()
+    deepStrictEqual(Object.keys(origins).sort(), ['a.com', 'c.com', 'other'])
+    equal(origins['a.com'].writes, 1)
+    equal(origins['a.com'].hits, 1)
+    equal(origins['c.com'].misses, 1)
+    equal(origins.other.misses, 1)
+
+    store.delete({ origin: 'a.com', path: '/a' })
+    has(store, '/', 'd.com')
+    has(store, '/', 'e.com')
+    origins = store.getStats().origins
+    deepStrictEqual(Object.keys(origins).sort(), ['d.com', 'e.com', 'other'])
+    equal(origins.other.misses, 2)
+    equal(origins.other.writes, 1)
+    equal(origins.other.deletions, 1)
+    equal(store.getStats().misses, 4)
+
+    throws(() => new MemoryCacheStore({ maxStatsOrigins: -1 }), TypeError)
+  })
+
+  test('keeps every counter in other when maxStatsOrigins is 0', () => {
+    const store = new MemoryCacheStore({ maxStatsOrigins: 0 })
+
+    has(store, '/', 'a.com')
+    has(store, '/', 'b.com')
+    deepStrictEqual(Object.keys(store.getStats().origins), ['other'])
+    equal(store.getStats().origins.other.misses, 2)
+  })
+
+  test('counts stale hits and rejected writes over the limits', async () => {
+    const store = new MemoryCacheStore({ maxSize: 10 })
+    const rejected = []
+    store.on('reject', ({ reason }) => rejected.push(reason))
+
+    await writeEntry(store, '/a')
+    await writeEntry(store, '/big', 'x'.repeat(11))
+
+    await writeEntry(store, '/stale', 'x', { staleAt: Date.now() - 1000, deleteAt: Date.now() + 1000 })
+    has(store, '/stale')
+
+    const stats = store.getStats()
+    equal(stats.hits, 1)
+    equal(stats.staleHits, 1)
+    equal(stats.rejectedWrites, 1)
+    deepStrictEqual(rejected, ['max-size'])
+  })
+})
@@ -0,0 +1,91 @@
+'use strict'
+
+const { describe, test } = require('node:test')
+const { equal, deepStrictEqual, throws } = require('node:assert')
+const MemoryCacheStore = require('../index.js')
+const { writeEntry } = require('./cache-store-test-utils.js')
+const { prometheusMetrics, registerOpenTelemetryMetrics } = MemoryCacheStore
+
+async function fill () {
+  const store = new MemoryCacheStore({ maxCount: 1 })
+  await writeEntry(store, '/1', 'test-data', { origin: 'a.com' })
+  await writeEntry(store, '/1', 'test-data', { origin: 'b"\\.com' })
+  store.get({ origin: 'b"\\.com', path: '/1', method: 'GET', headers: {} })
+  return store
+}
+
+describe('prometheusMetrics', () => {
+  test('renders the text exposition format', async () => {
+    const store = await fill()
+    const lines = prometheusMetrics(store).split('\n')
+
+    equal(lines[0], '# HELP undici_cache_memory_hits_total Cache lookups that returned an entry, stale ones included')
+    equal(lines[1], '# TYPE undici_cache_memory_hits_total counter')
+    equal(lines[2], 'undici_cache_memory_hits_total{origin="a.com"} 0')
+    equal(lines[3], 'undici_cache_memory_hits_total{origin="b\\"\\\\.com"} 1')
+    equal(lines.includes('undici_cache_memory_evictions_total{origin="a.com",reason="max-count"} 1'), true)
+    equal(lines.includes('# TYPE undici_cache_memory_size_bytes gauge'), true)
+    equal(lines.includes('undici_cache_memory_size_bytes{origin="a.com"} 0'), true)
+    equal(lines.includes('undici_cache_memory_entries{origin="b\\"\\\\.com"} 1'), true)
+  })
+
+  test('supports a custom prefix', async () => {
+    const store = await fill()
+    equal(prometheusMetrics(store, { prefix: 'cache_' }).includes('cache_writes_total{origin="a.com"} 1'), true)
+  })
+})
+
+describe('registerOpenTelemetryMetrics', () => {
+  function createMeter () {
+    const instruments = new Map()
+    const create = (type) => (name, options) => {
+      const instrument = {
+        type,
+        options,
+        callbacks: new Set(),
+        addCallback (callback) { this.callbacks.add(callback) },
+        removeCallback (callback) { this.callbacks.delete(callback) }
+      }
+      instruments.set(name, instrument)
+      return instrument
+    }
+
+    return {
+      instruments,
+      createObservableCounter: create('counter'),
+      createObservableGauge: create('gauge'),
+      collect (name) {
+        const observed = []
+        for (const callback of instruments.get(name).callbacks) {
+          callback({ observe: (value, attributes) => observed.push([value, attributes]) })
+        }
+        return observed
+      }
+    }
+  }
+
+  test('rejects anything but a meter', () => {
+    throws(() => registerOpenTelemetryMetrics(new MemoryCacheStore(), {}), TypeError)
+  })
+
+  test('observes the store statistics', async () => {
+    const store = await fill()
+    const meter = createMeter()
+    const registration = registerOpenTelemetryMetrics(store, meter)
+
+    equal(meter.instruments.get('undici_cache_memory.hits').type, 'counter')
+    equal(meter.instruments.get('undici_cache_memory.size_bytes').type, 'gauge')
+    equal(meter.instruments.get('undici_cache_memory.size_bytes').options.unit, 'By')
+
+    deepStrictEqual(meter.collect('undici_cache_memory.hits'), [
+      [0, { origin: 'a.com' }],
+      [1, { origin: 'b"\\.com' }]
+    ])
+    deepStrictEqual(meter.collect('undici_cache_memory.evictions'), [
+      [1, { origin: 'a.com', reason: 'max-count' }]
+    ])
+
+    registration.close()
+    deepStrictEqual(meter.collect('undici_cache_memory.hits'), [])
+  })
+})
@@ -0,0 +1,143 @@
+'use strict'
+
+const { describe, test } = require('node:test')
+const { equal, deepStrictEqual, throws } = require('node:assert')
+const { once } = require('node:events')
+const MemoryCacheStore = require('../index.js')
+const { createEntryValue } = require('./cache-store-test-utils.js')
+const { channels } = MemoryCacheStore
+
+function createKey (path, headers = {}) {
+  return { origin: 'example.com', path, method: 'GET', headers }
+}
+
+function startWrite (store, key, vary) {
+  return store.createWriteStream(key, createEntryValue({ vary }))
+}
+
+describe('getPending', () => {
+  test('returns undefined without a write in flight', async () => {
+    const store = new MemoryCacheStore()
+    equal(store.getPending(createKey('/a')), undefined)
+    throws(() => store.getPending('/a'), TypeError)
+
+    const writable = startWrite(store, createKey('/a'))
+    writable.end('done')
+    await once(writable, 'close')
+    equal(store.getPending(createKey('/a')), undefined)
+  })
+
+  test('resolves to the entry once the write in flight is stored', async () => {
+    const store = new MemoryCacheStore()
+    const writable = startWrite(store, createKey('/a'))
+    writable.write('first ')
+
+    const pending = store.getPending(createKey('/a'))
+    equal(store.get(createKey('/a')), undefined)
+
+    writable.end('response')
+    const result = await pending
+    equal(Buffer.concat(result.body).toString(), 'first response')
+    equal(store.getStats().hits, 1)
+  })
+
+  test('resolves to undefined when the write is given up', async () => {
+    const store = new MemoryCacheStore({ maxEntrySize: 10 })
+    const writable = startWrite(store, createKey('/a'))
+    const pending = store.getPending(createKey('/a'))
+
+    writable.write('more than ten bytes')
+    equal(await pending, undefined)
+    equal(store.getPending(createKey('/a')), undefined)
+  })
+
+  test('waits for the matching variant only', async () => {
+    const store = new MemoryCacheStore()
+    const english = createKey('/a', { 'accept-language': 'en' })
+    const writable = startWrite(store, english, { 'accept-language': 'en' })
+
+    equal(store.getPending(createKey('/a', { 'accept-language': 'fr' })), undefined)
+    const pending = store.getPending(english)
+
+    writable.end('hello')
+    equal(Buffer.concat((await pending).body).toString(), 'hello')
+  })
+
+  test('discards concurrent writes of the same variant once one is stored', async () => {
+    const store = new MemoryCacheStore()
+    const aborts = []
+    const onAbort = ({ reason }) => aborts.push(reason)
+    channels.writeAbort.subscribe(onAbort)
+
+    try {
+      const first = startWrite(store, createKey('/a'))
+      const second = startWrite(store, createKey('/a'))
+      const other = startWrite(store, createKey('/b'))
+
+      first.end('first')
+      await once(first, 'close')
+      second.end('second')
+      await once(second, 'close')
+      other.end('other')
+      await once(other, 'close')
+
+      deepStrictEqual(aborts, ['coalesced'])
+      equal(Buffer.concat(store.get(createKey('/a')).body).toString(), 'first')
+      equal(Buffer.concat(store.get(createKey('/b')).body).toString(), 'other')
+      equal(store.getStats().writes, 2)
+    } finally {
+      channels.writeAbort.unsubscribe(onAbort)
+    }
+  })
+
+  test('stores a concurrent write that ends before the first one', async () => {
+    const store = new MemoryCacheStore()
+    const first = startWrite(store, createKey('/a'))
+    const second = startWrite(store, createKey('/a'))
+
+    second.end('second')
+    await once(second, 'close')
+    equal(Buffer.concat(store.get(createKey('/a')).body).toString(), 'second')
+
+    first.end('first')
+    await once(first, 'close')
+    equal(Buffer.concat(store.get(createKey('/a')).body).toString(), 'first')
+  })
+
+  test('stores the concurrent write when the first one aborts', async () => {
+    const store = new MemoryCacheStore()
+    const first = startWrite(store, createKey('/a'))
+    first.write('fir')
+    const second = startWrite(store, createKey('/a'))
+    const pending = store.getPending(createKey('/a'))
+
+    first.destroy()
+    await once(first, 'close')
+    second.end('second')
+
+    equal(Buffer.concat((await pending).body).toString(), 'second')
+    equal(Buffer.concat(store.get(createKey('/a')).body).toString(), 'second')
+  })
+  test('does not discard the writes started after a purge', async () => {
+    const store = new MemoryCacheStore({ cacheTagsHeader: 'cache-tag' })
+    const first = startWrite(store, createKey('/a'))
+    store.delete(createKey('/a'))
+    const second = startWrite(store, createKey('/a'))
+
+    first.end('old')
+    await once(first, 'close')
+    second.end('new')
+    await once(second, 'close')
+    equal(Buffer.concat(store.get(createKey('/a')).body).toString(), 'new')
+
+    const tagged = store.createWriteStream(createKey('/b'), createEntryValue({ headers: { 'cache-tag': 'b' } }))
+    store.deleteTags(['b'])
+    const untagged = startWrite(store, createKey('/b'))
+
+    tagged.end('old')
+    await once(tagged, 'close')
+    untagged.end('new')
+    await once(untagged, 'close')
+    equal(Buffer.concat(store.get(createKey('/b')).body).toString(), 'new')
+  })
+})
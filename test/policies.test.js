@@ -0,0 +1,103 @@
+'use strict'
+
+const { describe, test } = require('node:test')
+const { equal, throws } = require('node:assert')
+const MemoryCacheStore = require('../index.js')
+const { writeEntry, has } = require('./cache-store-test-utils.js')
+
+describe('MemoryCacheStore eviction policies', () => {
+  test('rejects unknown policies', () => {
+    throws(() => new MemoryCacheStore({ policy: 'fifo' }), TypeError)
+    throws(() => new MemoryCacheStore({ policy: { evict () {} } }), TypeError)
+  })
+
+  test('lfu evicts the least frequently used entry', async () => {
+    const store = new MemoryCacheStore({ maxCount: 3, policy: 'lfu' })
+
+    await writeEntry(store, '/a')
+    await writeEntry(store, '/b')
+    await writeEntry(store, '/c')
+
+    has(store, '/a')
+    has(store, '/a')
+    has(store, '/b')
+    has(store, '/c')
+    has(store, '/c')
+
+    await writeEntry(store, '/d')
+
+    equal(has(store, '/a'), true)
+    equal(has(store, '/b'), false)
+    equal(has(store, '/c'), true)
+    equal(has(store, '/d'), true)
+  })
+
+  test('w-tinylfu does not admit a one-hit entry over a popular one', async () => {
+    const store = new MemoryCacheStore({ maxCount: 2, policy: 'w-tinylfu' })
+
+    await writeEntry(store, '/popular')
+    await writeEntry(store, '/other')
+    for (let i = 0; i < 5; i++) {
+      has(store, '/popular')
+    }
+
+    for (let i = 0; i < 5; i++) {
+      await writeEntry(store, `/scan-${i}`)
+    }
+
+    equal(has(store, '/popular'), true)
+  })
+
+  test('w-tinylfu admits an entry that is written often', async () => {
+    const store = new MemoryCacheStore({ maxCount: 2, policy: new MemoryCacheStore.WTinyLFUPolicy() })
+
+    await writeEntry(store, '/a')
+    await writeEntry(store, '/b')
+
+    for (let i = 0; i < 3; i++) {
+      await writeEntry(store, '/c')
+    }
+    await writeEntry(store, '/d')
+
+    equal(has(store, '/a'), false)
+    equal(has(store, '/c'), true)
+  })
+
+  test('gdsf evicts large entries before small ones', async () => {
+    const store = new MemoryCacheStore({ maxSize: 1000, policy: 'gdsf' })
+
+    await writeEntry(store, '/small-1', 'x'.repeat(10))
+    await writeEntry(store, '/large', 'x'.repeat(800))
+    await writeEntry(store, '/small-2', 'x'.repeat(10))
+    await writeEntry(store, '/medium', 'x'.repeat(300))
+
+    equal(has(store, '/small-1'), true)
+    equal(has(store, '/small-2'), true)
+    equal(has(store, '/large'), false)
+    equal(has(store, '/medium'), true)
+  })
+
+  test('accepts a custom policy', async () => {
+    const calls = []
+    const inner = new MemoryCacheStore.LRUPolicy()
+    const policy = {
+      onInsert (entry) { calls.push(['insert', entry.path]); inner.onInsert(entry) },
+      onAccess (entry) { calls.push(['access', entry.path]); inner.onAccess(entry) },
+      onDelete (entry) { calls.push(['delete', entry.path]); inner.onDelete(entry) },
+      evict () { calls.push(['evict']); return inner.evict() }
+    }
+    const store = new MemoryCacheStore({ maxCount: 1, policy })
+
+    await writeEntry(store, '/a')
+    has(store, '/a')
+    await writeEntry(store, '/b')
+
+    equal(JSON.stringify(calls), JSON.stringify([
+      ['insert', '/a'],
+      ['access', '/a'],
+      ['evict'],
+      ['delete', '/a'],
+      ['insert', '/b']
+    ]))
+  })
+})
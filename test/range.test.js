@@ -0,0 +1,141 @@
+'use strict'
+
+const { describe, test, after } = require('node:test')
+const { equal, deepStrictEqual, throws } = require('node:assert')
+const { createServer } = require('node:http')
+const { once } = require('node:events')
+const { Client, interceptors } = require('undici')
+const MemoryCacheStore = require('../index.js')
+const { resolveRange, sliceBody } = require('../lib/range.js')
+const { writeEntry } = require('./cache-store-test-utils.js')
+
+const body = '0123456789abcdefghij'
+
+// In chunks of 5 bytes, to read across them
+function writeFile (store, opts = {}) {
+  return writeEntry(store, '/file', body.match(/.{1,5}/g), {
+    statusCode: opts.statusCode,
+    headers: { 'content-length': String(body.length), etag: '"v1"', 'last-modified': 'Tue, 01 Sep 2026 00:00:00 GMT' },
+    etag: '"v1"'
+  })
+}
+
+function createKey (headers = {}) {
+  return { origin: 'example.com', path: '/file', method: 'GET', headers }
+}
+
+function text (result) {
+  return Buffer.concat(result.body).toString()
+}
+
+describe('range reads', () => {
+  test('resolves ranges against the body size', () => {
+    deepStrictEqual(resolveRange('bytes=0-4', 20), { start: 0, end: 4 })
+    deepStrictEqual(resolveRange('bytes=15-', 20), { start: 15, end: 19 })
+    deepStrictEqual(resolveRange('bytes=-5', 20), { start: 15, end: 19 })
+    deepStrictEqual(resolveRange('bytes=-50', 20), { start: 0, end: 19 })
+    deepStrictEqual(resolveRange('bytes=10-100', 20), { start: 10, end: 19 })
+    deepStrictEqual(resolveRange({ start: 2, end: 3 }, 20), { start: 2, end: 3 })
+    equal(resolveRange('bytes=20-', 20), null)
+    equal(resolveRange('bytes=-0', 20), null)
+    equal(resolveRange('bytes=0-1,5-6', 20), undefined)
+    equal(resolveRange('items=0-1', 20), undefined)
+    equal(resolveRange('bytes=5-1', 20), undefined)
+  })
+
+  test('slices the body without copying it', () => {
+    const chunks = [Buffer.from('01234'), Buffer.from('56789')]
+    const slices = sliceBody(chunks, 3, 6)
+    deepStrictEqual(slices.map(String), ['34', '56'])
+    equal(slices[0].buffer, chunks[0].buffer)
+  })
+
+  test('returns the requested bytes with get(key, { range })', async () => {
+    const store = new MemoryCacheStore()
+    await writeFile(store)
+
+    const result = store.get(createKey(), { range: 'bytes=3-12' })
+    equal(result.statusCode, 206)
+    equal(text(result), '3456789abc')
+    equal(result.headers['content-range'], 'bytes 3-12/20')
+    equal(result.headers['content-length'], '10')
+    deepStrictEqual(result.range, { start: 3, end: 12, size: 20 })
+    equal(result.body.length, 3)
+
+    equal(text(store.get(createKey(), { range: { start: 18 } })), 'ij')
+    equal(text(store.get(createKey())), body)
+  })
+
+  test('answers unsatisfiable ranges with a 416', async () => {
+    const store = new MemoryCacheStore()
+    await writeFile(store)
+
+    const result = store.get(createKey(), { range: 'bytes=50-' })
+    equal(result.statusCode, 416)
+    equal(result.headers['content-range'], 'bytes */20')
+    deepStrictEqual(result.body, [])
+  })
+
+  test('validates the range option', () => {
+    const store = new MemoryCacheStore()
+    throws(() => store.get(createKey(), { range: 5 }), TypeError)
+    throws(() => store.get(createKey(), { range: { start: -1 } }), TypeError)
+    throws(() => store.get(createKey(), { range: { start: 5, end: 2 } }), TypeError)
+    throws(() => new MemoryCacheStore({ ranges: 'yes' }), TypeError)
+  })
+
+  test('reads ranges of compressed bodies', async () => {
+    const store = new MemoryCacheStore({ compress: { algorithm: 'gzip', minSize: 0 } })
+    await writeFile(store)
+    equal(text(store.get(createKey(), { range: 'bytes=-3' })), 'hij')
+  })
+
+  test('honors the Range request header with the ranges option', async () => {
+    const store = new MemoryCacheStore({ ranges: true })
+    await writeFile(store)
+
+    equal(text(store.get(createKey({ range: 'bytes=0-1' }))), '01')
+    equal(text(store.get(createKey({ range: 'bytes=0-1', 'if-range': '"v1"' }))), '01')
+    equal(text(store.get(createKey({ range: 'bytes=0-1', 'if-range': 'Tue, 01 Sep 2026 00:00:00 GMT' }))), '01')
+    // The representation changed, so the whole body is sent
+    equal(store.get(createKey({ range: 'bytes=0-1', 'if-range': '"v0"' })).statusCode, 200)
+    equal(store.get(createKey({ range: 'bytes=0-1', 'if-range': 'W/"v1"' })).statusCode, 200)
+
+    const plain = new MemoryCacheStore()
+    await writeFile(plain)
+    equal(plain.get(createKey({ range: 'bytes=0-1' })).statusCode, 200)
+  })
+
+  test('only applies ranges to 200 responses', async () => {
+    const store = new MemoryCacheStore()
+    await writeFile(store, { statusCode: 404 })
+    equal(store.get(createKey(), { range: 'bytes=0-1' }).statusCode, 404)
+  })
+
+  test('lets the cache interceptor answer range requests', async () => {
+    let requestsToOrigin = 0
+    const server = createServer((_, res) => {
+      requestsToOrigin++
+      res.setHeader('cache-control', 'public, max-age=60')
+      res.end(body)
+    }).listen(0)
+    await once(server, 'listening')
+
+    const client = new Client(`http://localhost:${server.address().port}`)
+      .compose(interceptors.cache({ store: new MemoryCacheStore({ ranges: true }) }))
+    after(async () => {
+      server.close()
+      await client.close()
+    })
+
+    const full = await client.request({ origin: 'localhost', method: 'GET', path: '/' })
+    equal(await full.body.text(), body)
+
+    const partial = await client.request({ origin: 'localhost', method: 'GET', path: '/', headers: { range: 'bytes=5-9' } })
+    equal(partial.statusCode, 206)
+    equal(partial.headers['content-range'], 'bytes 5-9/20')
+    equal(partial.headers['content-length'], '5')
+    equal(await partial.body.text(), '56789')
+    equal(requestsToOrigin, 1)
+  })
+})
@@ -0,0 +1,222 @@
+'use strict'
+
+const { describe, test, after } = require('node:test')
+const { equal, deepStrictEqual, rejects, ok } = require('node:assert')
+const { createServer } = require('node:http')
+const { once } = require('node:events')
+const { Readable } = require('node:stream')
+const { Client, interceptors } = require('undici')
+const MemoryCacheStore = require('../index.js')
+
+function createKey (path, origin = 'example.com') {
+  return { origin, path }
+}
+
+function bodyOf (result) {
+  return Buffer.concat(result.body).toString()
+}
+
+describe('set', () => {
+  test('stores a response with defaults', async () => {
+    const store = new MemoryCacheStore()
+    const before = Date.now()
+
+    equal(await store.set(createKey('/'), {
+      headers: { 'Content-Type': 'text/plain', ETag: '"v1"' },
+      body: 'hello',
+      ttl: 60000
+    }), true)
+
+    const result = store.get({ ...createKey('/'), method: 'GET', headers: {} })
+    equal(bodyOf(result), 'hello')
+    equal(result.statusCode, 200)
+    equal(result.statusMessage, 'OK')
+    deepStrictEqual(result.headers, { 'content-type': 'text/plain', etag: '"v1"' })
+    equal(result.etag, '"v1"')
+    ok(result.cachedAt >= before)
+    equal(result.staleAt, result.cachedAt + 60000)
+    equal(result.deleteAt, result.staleAt)
+    equal(store.getStats().size, 5)
+  })
+
+  test('accepts buffers, streams and iterables', async () => {
+    const store = new MemoryCacheStore()
+    const buffer = Buffer.from('buffer')
+    const bodies = {
+      '/buffer': buffer,
+      '/stream': Readable.from(['str', 'eam']),
+      '/iterable': [Buffer.from('itera'), Buffer.from('ble')],
+      '/async': (async function * () {
+        yield 'async '
+        yield Buffer.from('iterable')
+      })()
+    }
+
+    for (const [path, body] of Object.entries(bodies)) {
+      equal(await store.set(createKey(path), { body, ttl: 1000 }), true)
+    }
+    buffer.write('reused')
+
+    equal(bodyOf(store.get({ ...createKey('/buffer'), method: 'GET', headers: {} })), 'buffer')
+    equal(bodyOf(store.get({ ...createKey('/stream'), method: 'GET', headers: {} })), 'stream')
+    equal(bodyOf(store.get({ ...createKey('/iterable'), method: 'GET', headers: {} })), 'iterable')
+    equal(bodyOf(store.get({ ...createKey('/async'), method: 'GET', headers: {} })), 'async iterable')
+  })
+
+  test('stores vary, explicit times and cache tags', async () => {
+    const store = new MemoryCacheStore({ cacheTagsHeader: 'cache-tag', cacheTagsLowercase: true, cacheTagsMaxCount: 3 })
+    const staleAt = Date.now() + 1000
+
+    await store.set({ ...createKey('/'), headers: { 'accept-language': 'fr' } }, {
+      statusCode: 203,
+      headers: { 'cache-tag': 'Home,Shared' },
+      vary: { 'accept-language': 'fr' },
+      staleAt,
+      deleteAt: staleAt + 1000,
+      cacheTags: ['shared', 'Extra', 'dropped'],
+      body: 'bonjour'
+    })
+
+    equal(store.get({ ...createKey('/'), method: 'GET', headers: { 'accept-language': 'en' } }), undefined)
+    const result = store.get({ ...createKey('/'), method: 'GET', headers: { 'accept-language': 'fr' } })
+    equal(result.statusCode, 203)
+    equal(result.staleAt, staleAt)
+    equal(result.deleteAt, staleAt + 1000)
+    deepStrictEqual(result.cacheTags, ['home', 'shared', 'extra'])
+
+    store.deleteTags(['extra'])
+    equal(store.getStats().count, 0)
+  })
+
+  test('replaces the variant it stores', async () => {
+    const store = new MemoryCacheStore()
+    const vary = { 'accept-language': 'en' }
+
+    for (const body of ['one', 'two', 'three']) {
+      await store.set(createKey('/'), { body, ttl: 1000, vary })
+    }
+    await store.set(createKey('/'), { body: 'bonjour', ttl: 1000, vary: { 'accept-language': 'fr' } })
+
+    equal(store.getStats().count, 2)
+    equal(bodyOf(store.get({ ...createKey('/'), method: 'GET', headers: { 'accept-language': 'en' } })), 'three')
+  })
+
+  test('applies the store limits', async () => {
+    const store = new MemoryCacheStore({ maxEntrySize: 10 })
+
+    equal(await store.set(createKey('/large'), { body: 'more than ten bytes', ttl: 1000 }), false)
+    equal(await store.set(createKey('/small'), { body: 'small', ttl: 1000 }), true)
+    equal(store.getStats().count, 1)
+    equal(store.getStats().rejectedWrites, 1)
+  })
+
+  test('validates the key and the value', async () => {
+    const store = new MemoryCacheStore()
+
+    await rejects(store.set(null, { ttl: 1000 }), { name: 'TypeError', message: 'expected key to be object, got null' })
+    await rejects(store.set(createKey('/'), null), { name: 'TypeError', message: 'expected value to be object, got null' })
+    await rejects(store.set({ path: '/' }, { ttl: 1000 }), TypeError)
+    await rejects(store.set(createKey('/'), { body: 'no ttl' }), TypeError)
+    await rejects(store.set(createKey('/'), { ttl: 1000, staleAt: Date.now() }), TypeError)
+    await rejects(store.set(createKey('/'), { ttl: -1 }), TypeError)
+    await rejects(store.set(createKey('/'), { ttl: 1000, statusCode: 99 }), TypeError)
+    await rejects(store.set(createKey('/'), { staleAt: Date.now() + 1000, deleteAt: Date.now() }), TypeError)
+    await rejects(store.set(createKey('/'), { ttl: 1000, cacheTags: 'tag' }), TypeError)
+    await rejects(store.set(createKey('/'), { ttl: 1000, body: 42 }), TypeError)
+    equal(store.getStats().count, 0)
+  })
+
+  test('rejects when the body stream fails', async () => {
+    const store = new MemoryCacheStore()
+    const body = new Readable({
+      read () {
+        this.destroy(new Error('kaboom'))
+      }
+    })
+
+    await rejects(store.set(createKey('/'), { body, ttl: 1000 }), { message: 'kaboom' })
+    equal(store.getStats().count, 0)
+  })
+
+  test('serves the stored responses to the cache interceptor', async () => {
+    let requestsToOrigin = 0
+    const server = createServer((req, res) => {
+      requestsToOrigin++
+      res.end('from origin')
+    }).listen(0)
+    await once(server, 'listening')
+
+    const store = new MemoryCacheStore()
+    const client = new Client(`http://localhost:${server.address().port}`)
+      .compose(interceptors.cache({ store }))
+    after(async () => {
+      server.close()
+      await client.close()
+    })
+
+    await store.set({ origin: 'localhost', path: '/' }, {
+      headers: { 'cache-control': 'public, max-age=60' },
+      cacheControlDirectives: { 'max-age': 60 },
+      body: 'warmed',
+      ttl: 60000
+    })
+
+    const response = await client.request({ origin: 'localhost', method: 'GET', path: '/' })
+    equal(await response.body.text(), 'warmed')
+    equal(requestsToOrigin, 0)
+  })
+})
+
+describe('setMany', () => {
+  test('stores every item', async () => {
+    const store = new MemoryCacheStore()
+
+    async function * items () {
+      for (let i = 0; i < 3; i++) {
+        yield { key: createKey(`/${i}`), value: { body: `body ${i}`, ttl: 1000 } }
+      }
+    }
+
+    deepStrictEqual(await store.setMany(items()), [true, true, true])
+    equal(store.getStats().count, 3)
+  })
+
+  test('rejects with every error once the others are stored', async () => {
+    const store = new MemoryCacheStore()
+
+    await rejects(store.setMany([
+      { key: createKey('/1'), value: { body: 'one', ttl: 1000 } },
+      { key: createKey('/2'), value: { body: 'two' } },
+      { key: { path: '/3' }, value: { body: 'three', ttl: 1000 } }
+    ]), (err) => {
+      ok(err instanceof AggregateError)
+      equal(err.errors.length, 2)
+      return true
+    })
+    equal(store.getStats().count, 1)
+
+    await rejects(store.setMany(42), TypeError)
+  })
+
+  test('settles the started writes when the iterable throws', async () => {
+    const store = new MemoryCacheStore()
+    const unhandled = []
+    const onUnhandled = (err) => unhandled.push(err)
+    process.on('unhandledRejection', onUnhandled)
+
+    async function * items () {
+      yield { key: createKey('/1'), value: { body: 'one', ttl: 1000 } }
+      yield { key: null, value: { body: 'two', ttl: 1000 } }
+      throw new Error('kaboom')
+    }
+
+    try {
+      await rejects(store.setMany(items()), { message: 'kaboom' })
+      await new Promise(resolve => setImmediate(resolve))
+      deepStrictEqual(unhandled, [])
+      equal(store.getStats().count, 1)
+    } finally {
+      process.off('unhandledRejection', onUnhandled)
+    }
+  })
+})
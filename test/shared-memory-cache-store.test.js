@@ -0,0 +1,150 @@
+'use strict'
+
+const { describe, test } = require('node:test')
+const { equal, deepStrictEqual, throws } = require('node:assert')
+const { once } = require('node:events')
+const { Worker } = require('node:worker_threads')
+const { SharedMemoryCacheStore } = require('../index.js')
+const { cacheStoreTests, writeEntry } = require('./cache-store-test-utils.js')
+
+cacheStoreTests(SharedMemoryCacheStore)
+
+function read (store, path, opts = {}) {
+  const result = store.get({ origin: 'example.com', path, method: opts.method ?? 'GET', headers: opts.requestHeaders ?? {} })
+  return result && Buffer.concat(result.body).toString()
+}
+
+describe('SharedMemoryCacheStore', () => {
+  test('validates options', () => {
+    throws(() => new SharedMemoryCacheStore({ maxCount: -1 }), TypeError)
+    throws(() => new SharedMemoryCacheStore({ maxSize: 2 ** 31 }), TypeError)
+    throws(() => new SharedMemoryCacheStore({ maxEntrySize: 1.5 }), TypeError)
+    throws(() => new SharedMemoryCacheStore({ buffer: new ArrayBuffer(64) }), TypeError)
+    throws(() => new SharedMemoryCacheStore({ buffer: new SharedArrayBuffer(64) }), TypeError)
+  })
+
+  test('shares entries with the stores attached to its buffer', async () => {
+    const store = new SharedMemoryCacheStore({ maxSize: 4096 })
+    const peer = new SharedMemoryCacheStore({ buffer: store.buffer })
+
+    await writeEntry(store, '/a', 'first')
+    equal(read(peer, '/a'), 'first')
+
+    await writeEntry(peer, '/a', 'second')
+    equal(read(store, '/a'), 'second')
+
+    store.delete({ origin: 'example.com', path: '/a' })
+    equal(read(peer, '/a'), undefined)
+  })
+
+  test('shares entries across threads', async () => {
+    const store = new SharedMemoryCacheStore({ maxSize: 4096 })
+    await writeEntry(store, '/from-main', 'main')
+
+    const worker = new Worker(`
+      const { workerData, parentPort } = require('node:worker_threads')
+      const { SharedMemoryCacheStore } = require(${JSON.stringify(require.resolve('../index.js'))})
+      const store = new SharedMemoryCacheStore({ buffer: workerData.buffer })
+      const key = { origin: 'example.com', path: '/from-main', method: 'GET', headers: {} }
+      const { body } = store.get(key)
+      const writable = store.createWriteStream({ ...key, path: '/from-worker' }, {
+        statusCode: 200,
+        statusMessage: 'OK',
+        headers: {},
+        cacheControlDirectives: {},
+        cachedAt: Date.now(),
+        staleAt: Date.now() + 3600000,
+        deleteAt: Date.now() + 7200000
+      })
+      writable.end('worker saw ' + Buffer.concat(body))
+      writable.on('close', () => parentPort.postMessage('done'))
+    `, { eval: true, workerData: { buffer: store.buffer } })
+    // Listened to up front, as the worker can exit as soon as it has posted
+    const exited = once(worker, 'exit')
+    await once(worker, 'message')
+    await exited
+
+    equal(read(store, '/from-worker'), 'worker saw main')
+  })
+
+  test('keeps methods and variants apart', async () => {
+    const store = new SharedMemoryCacheStore()
+    for (const language of ['en', 'fr']) {
+      await writeEntry(store, '/a', language, {
+        vary: { 'accept-language': language },
+        requestHeaders: { 'accept-language': language }
+      })
+    }
+    await writeEntry(store, '/a', 'head', { method: 'HEAD' })
+
+    equal(read(store, '/a', { method: 'HEAD' }), 'head')
+    equal(read(store, '/a', { requestHeaders: { 'accept-language': 'en' } }), 'en')
+    equal(read(store, '/a', { requestHeaders: { 'accept-language': 'fr' } }), 'fr')
+    equal(read(store, '/a'), undefined)
+
+    store.deleteKeys([{ origin: 'example.com', path: '/a', method: 'HEAD' }])
+    equal(read(store, '/a', { method: 'HEAD' }), undefined)
+    equal(read(store, '/a', { requestHeaders: { 'accept-language': 'fr' } }), 'fr')
+  })
+
+  test('does not return expired entries', async () => {
+    const store = new SharedMemoryCacheStore()
+    await writeEntry(store, '/a', 'test-data', { deleteAt: Date.now() - 1 })
+    equal(read(store, '/a'), undefined)
+  })
+
+  test('evicts the oldest entries over maxCount', async () => {
+    const store = new SharedMemoryCacheStore({ maxCount: 2 })
+    await writeEntry(store, '/a')
+    await writeEntry(store, '/b')
+    await writeEntry(store, '/c')
+
+    deepStrictEqual(['/a', '/b', '/c'].map(path => read(store, path)), [undefined, 'test-data', 'test-data'])
+  })
+
+  test('evicts the oldest entries over maxSize and wraps around', async () => {
+    const store = new SharedMemoryCacheStore({ maxSize: 1024 })
+    const body = 'x'.repeat(200)
+    for (let i = 0; i < 20; i++) {
+      await writeEntry(store, `/${i}`, body + i)
+    }
+
+    equal(read(store, '/19'), body + 19)
+    equal(read(store, '/18'), body + 18)
+    equal(read(store, '/0'), undefined)
+
+    store.delete({ origin: 'example.com', path: '/18' })
+    await writeEntry(store, '/20', body + 20)
+    equal(read(store, '/19'), body + 19)
+    equal(read(store, '/20'), body + 20)
+  })
+
+  test('rejects entries over maxEntrySize or that cannot fit', async () => {
+    const store = new SharedMemoryCacheStore({ maxSize: 256, maxEntrySize: 1024 })
+    await writeEntry(store, '/small')
+    await writeEntry(store, '/big', 'x'.repeat(512))
+
+    equal(read(store, '/small'), 'test-data')
+    equal(read(store, '/big'), undefined)
+  })
+
+  test('deletes entries by tag', async () => {
+    const store = new SharedMemoryCacheStore({ cacheTagsHeader: 'Cache-Tag' })
+    await writeEntry(store, '/a', 'test-data', { headers: { 'cache-tag': 'products,shoes' } })
+    await writeEntry(store, '/b', 'test-data', { headers: { 'cache-tag': 'shoes' } })
+    await writeEntry(store, '/c')
+
+    store.deleteTags(['products'])
+    deepStrictEqual(['/a', '/b', '/c'].map(path => read(store, path)), [undefined, undefined, 'test-data'])
+  })
+
+  test('reuses the slots of deleted entries', async () => {
+    const store = new SharedMemoryCacheStore({ maxCount: 4, maxSize: 64 * 1024 })
+    for (let i = 0; i < 200; i++) {
+      await writeEntry(store, `/${i}`)
+      store.delete({ origin: 'example.com', path: `/${i}` })
+    }
+    await writeEntry(store, '/last')
+    equal(read(store, '/last'), 'test-data')
+  })
+})
@@ -0,0 +1,116 @@
+'use strict'
+
+const { describe, test, after } = require('node:test')
+const { equal, deepStrictEqual, rejects } = require('node:assert')
+const { mkdtemp, rm, readFile, readdir } = require('node:fs/promises')
+const { tmpdir } = require('node:os')
+const { join } = require('node:path')
+const { PassThrough, Readable } = require('node:stream')
+const MemoryCacheStore = require('../index.js')
+const { writeEntry } = require('./cache-store-test-utils.js')
+
+async function tmpDir () {
+  const dir = await mkdtemp(join(tmpdir(), 'undici-cache-memory-'))
+  after(() => rm(dir, { recursive: true, force: true }))
+  return dir
+}
+
+describe('snapshot and restore', () => {
+  test('round-trips entries through a file', async () => {
+    const dir = await tmpDir()
+    const store = new MemoryCacheStore({ cacheTagsHeader: 'cache-tag' })
+
+    await writeEntry(store, '/a', ['hello ', 'world'], {
+      etag: '"a"',
+      headers: { 'cache-tag': 'one,two' }
+    })
+    await writeEntry(store, '/b', [Buffer.from([0, 1, 2, 255])], {
+      vary: { 'accept-language': 'en' },
+      requestHeaders: { 'accept-language': 'en' }
+    })
+    await writeEntry(store, '/b', ['fr'], {
+      vary: { 'accept-language': 'fr' },
+      requestHeaders: { 'accept-language': 'fr' }
+    })
+
+    const path = join(dir, 'cache.snapshot')
+    await store.snapshot(path)
+    deepStrictEqual(await readdir(dir), ['cache.snapshot'])
+
+    const restored = await MemoryCacheStore.restore(path, { cacheTagsHeader: 'cache-tag' })
+
+    const a = restored.get({ origin: 'example.com', path: '/a', method: 'GET', headers: {} })
+    equal(Buffer.concat(a.body).toString(), 'hello world')
+    equal(a.etag, '"a"')
+    deepStrictEqual(a.cacheTags, ['one', 'two'])
+    deepStrictEqual(a, store.get({ origin: 'example.com', path: '/a', method: 'GET', headers: {} }))
+
+    const en = restored.get({ origin: 'example.com', path: '/b', method: 'GET', headers: { 'accept-language': 'en' } })
+    deepStrictEqual(Buffer.concat(en.body), Buffer.from([0, 1, 2, 255]))
+    const fr = restored.get({ origin: 'example.com', path: '/b', method: 'GET', headers: { 'accept-language': 'fr' } })
+    equal(Buffer.concat(fr.body).toString(), 'fr')
+
+    restored.deleteTags(['two'])
+    equal(restored.get({ origin: 'example.com', path: '/a', method: 'GET', headers: {} }), undefined)
+  })
+
+  test('writes a versioned, line based format to a stream', async () => {
+    const store = new MemoryCacheStore()
+    await writeEntry(store, '/a', ['asd'])
+
+    const stream = new PassThrough()
+    const chunks = []
+    stream.on('data', chunk => chunks.push(chunk))
+    await store.snapshot(stream)
+
+    const lines = Buffer.concat(chunks).toString().trim().split('\n').map(line => JSON.parse(line))
+    equal(lines.length, 2)
+    equal(lines[0].version, 1)
+    deepStrictEqual(lines[1].key, { origin: 'example.com', path: '/a', method: 'GET' })
+    deepStrictEqual(lines[1].body, [Buffer.from('asd').toString('base64')])
+  })
+
+  test('skips expired entries and respects the limits on restore', async () => {
+    const store = new MemoryCacheStore()
+    await writeEntry(store, '/expired', ['asd'], { deleteAt: Date.now() + 50 })
+    await writeEntry(store, '/a', ['asd'])
+    await writeEntry(store, '/b', ['asd'])
+    await writeEntry(store, '/large', ['x'.repeat(100)])
+
+    const stream = new PassThrough()
+    const chunks = []
+    stream.on('data', chunk => chunks.push(chunk))
+    await store.snapshot(stream)
+    const snapshot = Buffer.concat(chunks)
+
+    await new Promise(resolve => setTimeout(resolve, 100))
+
+    const restored = await MemoryCacheStore.restore(Readable.from([snapshot]), {
+      maxCount: 1,
+      maxEntrySize: 50
+    })
+    const stats = restored.getStats()
+    equal(stats.count, 1)
+    equal(stats.rejectedWrites, 1)
+    equal(restored.get({ origin: 'example.com', path: '/b', method: 'GET', headers: {} }) !== undefined, true)
+  })
+
+  test('rejects unknown versions and sources', async () => {
+    const dir = await tmpDir()
+    await rejects(MemoryCacheStore.restore(Readable.from(['{"version":2}\n'])), /unsupported snapshot version 2/)
+    await rejects(MemoryCacheStore.restore(Readable.from([''])), /snapshot is empty/)
+    await rejects(MemoryCacheStore.restore(42), TypeError)
+    await rejects(new MemoryCacheStore().snapshot(42), TypeError)
+    await rejects(MemoryCacheStore.restore(join(dir, 'missing')), { code: 'ENOENT' })
+  })
+
+  test('does not leave a partial file behind on failure', async () => {
+    const dir = await tmpDir()
+    const store = new MemoryCacheStore()
+    await writeEntry(store, '/a', ['asd'])
+
+    await rejects(store.snapshot(join(dir, 'missing', 'cache.snapshot')), { code: 'ENOENT' })
+    deepStrictEqual(await readdir(dir), [])
+    await rejects(readFile(join(dir, 'cache.snapshot')))
+  })
+})
@@ -0,0 +1,122 @@
+'use strict'
+
+const { describe, test, after } = require('node:test')
+const { equal, deepStrictEqual, throws } = require('node:assert')
+const { createServer } = require('node:http')
+const { once } = require('node:events')
+const { Client, interceptors } = require('undici')
+const MemoryCacheStore = require('../index.js')
+const { writeEntry } = require('./cache-store-test-utils.js')
+
+function createKey (path, origin = 'example.com') {
+  return { origin, path, method: 'GET', headers: {} }
+}
+
+function isStale (store, path, origin) {
+  const result = store.get(createKey(path, origin))
+  return result && result.staleAt <= Date.now()
+}
+
+describe('soft purge', () => {
+  test('marks the entries of a tag stale instead of deleting them', async () => {
+    const store = new MemoryCacheStore({ cacheTagsHeader: 'cache-tag' })
+    await writeEntry(store, '/a', 'test-data', { headers: { 'cache-tag': 'products' } })
+    await writeEntry(store, '/b', 'test-data', { origin: 'other.com', headers: { 'cache-tag': 'products' } })
+    await writeEntry(store, '/c', 'test-data', { headers: { 'cache-tag': 'users' } })
+
+    const events = []
+    store.on('stale', ({ key, reason }) => events.push([key.origin, key.path, reason]))
+    store.deleteTags(['products'], { soft: true })
+
+    equal(isStale(store, '/a'), true)
+    equal(isStale(store, '/b', 'other.com'), true)
+    equal(isStale(store, '/c'), false)
+    deepStrictEqual(events, [['example.com', '/a', 'tag'], ['other.com', '/b', 'tag']])
+
+    const stats = store.getStats()
+    equal(stats.count, 3)
+    equal(stats.deletions, 0)
+    equal(stats.softPurges, 2)
+  })
+
+  test('marks keys and paths stale', async () => {
+    const store = new MemoryCacheStore()
+    await writeEntry(store, '/a')
+    await writeEntry(store, '/b')
+    await writeEntry(store, '/users/1')
+    await writeEntry(store, '/users/2')
+
+    store.delete(createKey('/a'), { soft: true })
+    store.deleteKeys([createKey('/b')], { soft: true })
+    store.deletePaths({ origin: 'example.com', prefix: '/users/', soft: true })
+
+    for (const path of ['/a', '/b', '/users/1', '/users/2']) {
+      equal(isStale(store, path), true)
+    }
+    equal(store.getStats().softPurges, 4)
+  })
+
+  test('cascades to the entries sharing a tag, once', async () => {
+    const store = new MemoryCacheStore({ cacheTagsHeader: 'cache-tag' })
+    await writeEntry(store, '/a', 'test-data', { headers: { 'cache-tag': 'x,y' } })
+    await writeEntry(store, '/b', 'test-data', { headers: { 'cache-tag': 'y,x' } })
+    await writeEntry(store, '/c', 'test-data', { headers: { 'cache-tag': 'z' } })
+
+    store.delete(createKey('/a'), { soft: true })
+    equal(isStale(store, '/b'), true)
+    equal(isStale(store, '/c'), false)
+    equal(store.getStats().softPurges, 2)
+  })
+
+  test('leaves the staleAt of stale entries as it is', async () => {
+    const store = new MemoryCacheStore()
+    const staleAt = Date.now() - 1000
+    await writeEntry(store, '/a', 'test-data', { staleAt })
+
+    store.delete(createKey('/a'), { soft: true })
+    equal(store.get(createKey('/a')).staleAt, staleAt)
+    equal(store.getStats().softPurges, 0)
+  })
+
+  test('validates the soft option', () => {
+    const store = new MemoryCacheStore()
+    throws(() => store.delete(createKey('/a'), { soft: 'yes' }), TypeError)
+    throws(() => store.deleteKeys([createKey('/a')], { soft: 1 }), TypeError)
+    throws(() => store.deleteTags(['a'], { soft: null }), TypeError)
+    throws(() => store.deletePaths({ origin: 'example.com', prefix: '/', soft: 'no' }), TypeError)
+  })
+
+  test('lets the cache interceptor revalidate soft purged responses', async () => {
+    const conditionalRequests = []
+    const server = createServer((req, res) => {
+      res.setHeader('cache-control', 'public, max-age=60')
+      res.setHeader('etag', '"v1"')
+      if (req.headers['if-none-match'] !== undefined) {
+        conditionalRequests.push(req.headers['if-none-match'])
+        res.statusCode = 304
+        res.end()
+        return
+      }
+      res.end('cached body')
+    }).listen(0)
+    await once(server, 'listening')
+
+    const store = new MemoryCacheStore()
+    const client = new Client(`http://localhost:${server.address().port}`)
+      .compose(interceptors.cache({ store }))
+    after(async () => {
+      server.close()
+      await client.close()
+    })
+
+    const request = { origin: 'localhost', method: 'GET', path: '/' }
+    equal(await (await client.request(request)).body.text(), 'cached body')
+
+    store.delete({ origin: 'localhost', path: '/' }, { soft: true })
+
+    const response = await client.request(request)
+    equal(response.statusCode, 200)
+    equal(await response.body.text(), 'cached body')
+    deepStrictEqual(conditionalRequests, ['"v1"'])
+  })
+})